@@ -1,22 +1,39 @@
 // ============================================================
-// Eagle Eye Tree - Main Application (v3.2)
+// Eagle Eye Tree - Main Application (v3.29)
+// Assembly picker + deep-link routing, offline cache + outbox, undo/redo,
+// signed-in user + role, live sync of other users' edits, graph mode +
+// step-link controls, global search
 // ============================================================
 
 import * as state from './state.js';
-import { loadAssemblyData, autoGenerateLinks, bulkCreateStepLinks, ensureSeqTagColumn, updateStepEcnStatus, clearAllEcnStatus } from './database.js';
-import { renderGraph, zoomIn, zoomOut, fitToScreen, handleSave, hideContextMenu } from './graph.js';
-import { showToast } from './ui.js';
-import { renderListView, renderKanbanView, renderDetail, updateEcnSummary } from './views.js';
-
-const APP_VERSION = 'v3.5';
+import { ASSY_NAMES } from './config.js';
+import { storeKind, loadUserProfile, replayOutbox, loadAssemblies, loadAssemblyData, autoGenerateLinks, bulkCreateStepLinks, checkBackendSchema, updateStepEcnStatus, clearAllEcnStatus } from './database.js';
+import { renderGraph, zoomIn, zoomOut, fitToScreen, handleSave, hideContextMenu, rechainSelection, centerOnStep } from './graph.js';
+import { showToast, esc } from './ui.js';
+import { renderListView, renderKanbanView, renderDetail, updateEcnSummary, fmtMin, revealStep } from './views.js';
+import { DEFAULT_ASSY, parseHash, writeRoute } from './router.js';
+import { initOutbox, onOutboxChange, retryFailed } from './offline.js';
+import { undo, redo, canUndo, canRedo, entries, onHistoryChange, clearHistory } from './history.js';
+import { currentUser, actorName, role, can, keepSessionFresh } from './auth.js';
+import { startLiveSync } from './live.js';
+import { buildLinkCheck, runLinkCheck } from './linkcheck.js';
+import { buildTreeLint, runTreeLint } from './lint.js';
+import { buildBalanceControls, renderBalancePanel } from './balance.js';
+import { buildKitControls } from './kitting.js';
+import { buildGlobalSearch } from './search.js';
+import { buildTorqueSpecControls, loadSpecs } from './fasteners.js';
+import { SCHEMA_VERSION, missingSql } from './migrations.js';
+
+const APP_VERSION = 'v3.30';
 let currentView = 'list';
+let assemblies = [];
 
 // ============================================================
 // RELOAD (after reorder etc.)
 // ============================================================
 
 async function reload() {
-  const tag = state.assy?.tag || 'HBD_assy';
+  const tag = state.assy?.tag || DEFAULT_ASSY;
   const data = await loadAssemblyData(tag);
   state.setData(data);
   updateStats();
@@ -26,6 +43,119 @@ async function reload() {
 }
 window._eagleEyeReload = reload;
 
+// ============================================================
+// ASSEMBLY LOADING + PICKER
+// ============================================================
+
+async function loadAssembly(tag) {
+  setStatus(`Loading ${tag}…`);
+  const data = await loadAssemblyData(tag);
+  state.setData(data);
+  state.setSelectedStep(null);
+  state.setVisibleGroupIds(null);
+  clearHistory();
+  document.getElementById('assyTag').textContent = data.assy.tag;
+  const picker = document.getElementById('assySelect');
+  if (picker) picker.value = data.assy.tag;
+  updateStats();
+
+  if (!data.offline && data.stepLinks.length === 0 && data.steps.length > 0) {
+    setStatus('Auto-generating links…');
+    const autoLinks = autoGenerateLinks(data.assy.id, data.groups, data.steps, []);
+    if (autoLinks.length > 0) {
+      await bulkCreateStepLinks(autoLinks);
+      const fresh = await loadAssemblyData(tag);
+      state.setData(fresh);
+      updateStats();
+      showToast(`Auto-generated ${autoLinks.length} links`);
+    }
+  }
+  buildGroupFilterChips();
+  showConnection(data.offline);
+}
+
+function buildAssemblyPicker() {
+  const badge = document.getElementById('assyTag');
+  if (!badge || !assemblies.length) return;
+  let picker = document.getElementById('assySelect');
+  if (!picker) {
+    picker = document.createElement('select');
+    picker.id = 'assySelect';
+    picker.className = 'assy-select';
+    picker.addEventListener('change', () => switchAssembly(picker.value));
+    badge.after(picker);
+    badge.style.display = 'none';
+  }
+  picker.innerHTML = assemblies.map(a =>
+    `<option value="${a.tag}">${ASSY_NAMES[a.tag] || a.tag}${a.version ? ' · v' + a.version : ''}</option>`).join('');
+  if (state.assy) picker.value = state.assy.tag;
+}
+
+async function switchAssembly(tag) {
+  if (state.assy?.tag === tag) return;
+  try {
+    await loadAssembly(tag);
+    switchView(currentView);
+    syncRoute(true);
+  } catch (e) {
+    console.error(e);
+    showToast(e.message, 'error');
+    const picker = document.getElementById('assySelect');
+    if (picker && state.assy) picker.value = state.assy.tag;
+  }
+}
+
+// Global search pick: switch assembly if needed, then select the step and bring it into view
+async function openSearchResult(tag, stepId) {
+  if (state.assy?.tag !== tag) await switchAssembly(tag);
+  const step = state.assy?.tag === tag && state.steps.find(s => s.id === stepId);
+  if (!step) return;
+  if (state.visibleGroupIds && !state.visibleGroupIds.has(step.group_id)) {
+    state.setVisibleGroupIds(null);
+    updateFilterChipStates();
+  }
+  state.setSelectedStep(stepId);
+  switchView(currentView);
+  if (currentView === 'graph') centerOnStep(stepId);
+  else revealStep(stepId);
+}
+
+// ============================================================
+// ROUTING — #/assy/ARM_assy/graph/step/123/groups/4,5
+// ============================================================
+
+function currentRoute() {
+  return {
+    assy: state.assy?.tag || null,
+    view: currentView,
+    step: state.selectedStepId,
+    groups: state.visibleGroupIds ? [...state.visibleGroupIds] : null
+  };
+}
+
+function syncRoute(push = false) { writeRoute(currentRoute(), push); }
+
+// Apply step + group filter from a route to the loaded assembly (ignores IDs it doesn't own)
+function applyRouteSelection(route) {
+  const step = route.step ? state.steps.find(s => s.id === route.step) : null;
+  state.setSelectedStep(step ? step.id : null);
+  const gids = (route.groups || []).filter(id => state.groups.some(g => g.id === id));
+  state.setVisibleGroupIds(gids.length && gids.length < state.groups.length ? new Set(gids) : null);
+  updateFilterChipStates();
+}
+
+async function onHashChange() {
+  const route = parseHash();
+  try {
+    if (route.assy && route.assy !== state.assy?.tag) await loadAssembly(route.assy);
+    applyRouteSelection(route);
+    switchView(route.view);
+  } catch (e) {
+    console.error(e);
+    showToast(e.message, 'error');
+  }
+}
+
 // ============================================================
 // VIEW SWITCHING
 // ============================================================
@@ -53,12 +183,15 @@ function switchView(view) {
 function updateDetailPanel() {
   if (currentView === 'list') renderDetail('mainDetailContent');
   else renderDetail('sidebarDetailContent');
+  syncRoute();
 }
 window._eagleEyeUpdateDetail = updateDetailPanel;
 window._eagleEyeRefreshView = function() {
   if (currentView === 'list') renderListView();
   else if (currentView === 'graph') renderGraph();
   else if (currentView === 'kanban') renderKanbanView();
+  modeLabel();
+  updateStats();
 };
 
 // ============================================================
@@ -99,6 +232,7 @@ function toggleGroupFilter(gid) {
     else state.setVisibleGroupIds(next);
   }
   updateFilterChipStates();
+  syncRoute();
   if (currentView === 'graph') { renderGraph(); fitToScreen(false); }
 }
 
@@ -137,31 +271,33 @@ function updateFilterChipStates() {
 async function init() {
   console.log(`Eagle Eye Tree ${APP_VERSION} initializing...`);
   setStatus('Loading…');
+  await initOutbox();
+  setupConnectionWatch();
+  await loadUserProfile();
+  renderUserPill();
+  keepSessionFresh({ onFail: e => showToast(`Session ended (${e.message}) — sign in again on the main page`, 'error') });
   try {
-    // Auto-check seq_tag column
-    try { await ensureSeqTagColumn(); } catch (e) { console.warn('seq_tag check:', e.message); }
-
-    const data = await loadAssemblyData('HBD_assy');
-    state.setData(data);
-    document.getElementById('assyTag').textContent = data.assy.tag;
-    updateStats();
-
-    if (data.stepLinks.length === 0 && data.steps.length > 0) {
-      setStatus('Auto-generating links…');
-      const autoLinks = autoGenerateLinks(data.assy.id, data.groups, data.steps, []);
-      if (autoLinks.length > 0) {
-        await bulkCreateStepLinks(autoLinks);
-        const fresh = await loadAssemblyData('HBD_assy');
-        state.setData(fresh);
-        updateStats();
-        showToast(`Auto-generated ${autoLinks.length} links`);
-      }
-    }
-
-    setStatus(`Connected ${APP_VERSION}`);
-    document.getElementById('statusDot').style.background = '#10b981';
-    buildGroupFilterChips();
-    switchView('list');
+    await runSchemaCheck();
+
+    try { assemblies = await loadAssemblies(); } catch (e) { console.warn('assembly list:', e.message); }
+    await loadSpecs();
+    const route = parseHash();
+    const known = !assemblies.length || assemblies.some(a => a.tag === route.assy);
+    if (route.assy && !known) showToast(`Unknown assembly ${route.assy}`, 'error');
+
+    await loadAssembly(route.assy && known ? route.assy : DEFAULT_ASSY);
+    buildAssemblyPicker();
+    applyRouteSelection(route);
+
+    switchView(route.view);
+    window.addEventListener('hashchange', onHashChange);
+    if (navigator.onLine) syncOutbox();
+    startLiveSync({
+      render: window._eagleEyeRefreshView,
+      renderDetail: updateDetailPanel,
+      afterChange: () => { updateStats(); updateEcnSummary(); buildGroupFilterChips(); updateFilterChipStates(); },
+      notify: msg => showToast(msg)
+    });
     console.log(`Eagle Eye Tree ${APP_VERSION} ready — ${state.steps.length} steps`);
   } catch (e) {
     console.error(e);
@@ -171,11 +307,285 @@ async function init() {
   }
 }
 
+// ============================================================
+// UNDO / REDO — Ctrl+Z, Ctrl+Shift+Z (or Ctrl+Y), history panel
+// ============================================================
+
+async function runHistory(fn, verb) {
+  const res = await fn();
+  if (!res) return;
+  if (!res.ok) { showToast(`${verb} failed: ${res.entry.label}`, 'error'); return; }
+  try { await reload(); } catch (e) { console.error(e); }
+  showToast(`${verb}: ${res.entry.label}`);
+}
+
+function buildHistoryControls() {
+  const stats = document.getElementById('statsText');
+  if (!stats || document.getElementById('historyBar')) return;
+  const bar = document.createElement('div');
+  bar.id = 'historyBar';
+  bar.className = 'history-bar';
+  bar.innerHTML = '<button class="history-btn" id="undoBtn" title="Undo (Ctrl+Z)">↶ Undo</button>' +
+    '<button class="history-btn" id="redoBtn" title="Redo (Ctrl+Shift+Z)">↷ Redo</button>' +
+    '<button class="history-btn" id="historyBtn" title="Recent actions">🕘 History</button>';
+  stats.after(bar);
+
+  const panel = document.createElement('div');
+  panel.id = 'historyPanel';
+  panel.className = 'history-panel';
+  panel.style.display = 'none';
+  document.body.appendChild(panel);
+
+  document.getElementById('undoBtn').addEventListener('click', () => runHistory(undo, 'Undo'));
+  document.getElementById('redoBtn').addEventListener('click', () => runHistory(redo, 'Redo'));
+  document.getElementById('historyBtn').addEventListener('click', () => {
+    panel.style.display = panel.style.display === 'none' ? '' : 'none';
+    renderHistoryPanel();
+  });
+  onHistoryChange(renderHistoryPanel);
+  renderHistoryPanel();
+}
+
+function renderHistoryPanel() {
+  const undoBtn = document.getElementById('undoBtn'), redoBtn = document.getElementById('redoBtn');
+  if (undoBtn) undoBtn.disabled = !canUndo();
+  if (redoBtn) redoBtn.disabled = !canRedo();
+
+  const panel = document.getElementById('historyPanel');
+  if (!panel || panel.style.display === 'none') return;
+  const { done, undone } = entries();
+  const time = at => new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const row = (e, cls) => `<div class="history-item ${cls}"><span>${esc(e.label)}</span><span class="history-time">${time(e.at)}</span></div>`;
+  panel.innerHTML = '<div class="spacing-panel-header"><span>🕘 History</span><button class="spacing-close" id="historyClose">×</button></div>' +
+    '<div class="history-list">' +
+    (undone.length || done.length
+      ? undone.slice().reverse().map(e => row(e, 'undone')).join('') + done.map((e, i) => row(e, i === 0 ? 'current' : '')).join('')
+      : '<div class="history-empty">No edits yet</div>') +
+    '</div>';
+  document.getElementById('historyClose').addEventListener('click', () => { panel.style.display = 'none'; });
+}
+
+function onHistoryKey(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const tag = e.target.tagName;
+  if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || e.target.isContentEditable) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) { e.preventDefault(); runHistory(undo, 'Undo'); }
+  else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); runHistory(redo, 'Redo'); }
+}
+
+// ============================================================
+// SCHEMA CHECK — blocks startup until required migrations are applied
+// ============================================================
+
+const SCHEMA_SKIP_KEY = 'eagleEyeSchemaSkipped';   // optional migrations the user chose to skip
+
+async function runSchemaCheck() {
+  let report;
+  try { report = await checkBackendSchema(); }
+  catch (e) { console.warn('schema check skipped:', e.message); return; }   // offline / auth — don't block on it
+  if (!report.length) return;
+  const blocking = report.some(r => r.migration.required);
+  const key = report.map(r => r.migration.version).join(',');
+  if (!blocking && localStorage.getItem(SCHEMA_SKIP_KEY) === key) {
+    console.warn(`⚠️ Optional migrations not applied: ${key}`);
+    return;
+  }
+  await showSchemaScreen(report);
+}
+
+// Resolves once the schema checks clean, or on Continue when only optional migrations are missing
+function showSchemaScreen(report) {
+  return new Promise(resolve => {
+    const screen = document.createElement('div');
+    screen.className = 'schema-screen';
+    document.body.appendChild(screen);
+
+    const draw = () => {
+      const blocking = report.some(r => r.migration.required);
+      const sql = missingSql(report);
+      screen.innerHTML = '<div class="schema-box">' +
+        `<div class="schema-title">${blocking ? '⛔ Database needs migrating' : '⚠️ Optional migrations missing'}</div>` +
+        `<div class="schema-sub">Schema v${SCHEMA_VERSION}. Run the SQL below in the Supabase SQL Editor, then re-check.</div>` +
+        report.map(({ migration: m, missing }) => '<div class="schema-item">' +
+          `<div><span class="schema-ver">${String(m.version).padStart(3, '0')}</span> ${m.name}` +
+          `<span class="schema-badge ${m.required ? 'req' : ''}">${m.required ? 'required' : 'optional'}</span></div>` +
+          (m.note ? `<div class="schema-note">${m.note}</div>` : '') +
+          `<div class="schema-missing">Missing: ${missing.join(', ')}</div></div>`).join('') +
+        `<textarea class="schema-sql" readonly spellcheck="false">${sql.replace(/</g, '&lt;')}</textarea>` +
+        '<div class="schema-actions"><button class="history-btn" id="schemaCopy">📋 Copy SQL</button>' +
+        '<button class="history-btn" id="schemaRecheck">↻ Re-check</button>' +
+        (blocking ? '' : '<button class="history-btn" id="schemaContinue">Continue without</button>') + '</div></div>';
+
+      screen.querySelector('#schemaCopy').addEventListener('click', () => {
+        navigator.clipboard.writeText(sql).then(() => showToast('SQL copied'), () => screen.querySelector('.schema-sql').select());
+      });
+      screen.querySelector('#schemaRecheck').addEventListener('click', async () => {
+        try { report = await checkBackendSchema(); }
+        catch (e) { showToast(e.message, 'error'); return; }
+        if (!report.length) { screen.remove(); showToast('Schema up to date'); resolve(); }
+        else draw();
+      });
+      screen.querySelector('#schemaContinue')?.addEventListener('click', () => {
+        localStorage.setItem(SCHEMA_SKIP_KEY, report.map(r => r.migration.version).join(','));
+        screen.remove();
+        resolve();
+      });
+    };
+    draw();
+  });
+}
+
+// ============================================================
+// GRAPH MODE + STEP LINKS — mode switch, link overlay toggle and
+// re-chain, next to the other graph toggles
+// ============================================================
+
+const MODE_LABELS = { swimlane: '🏊 Swimlanes', flow: '🔀 Flow', balance: '⚖️ Stations' };
+
+function modeLabel() {
+  const mode = document.getElementById('modeToggle');
+  if (!mode) return;
+  mode.textContent = MODE_LABELS[state.graphMode];
+  mode.classList.toggle('active', state.graphMode !== 'swimlane');
+}
+
+function buildLinkControls() {
+  const status = document.getElementById('statusText');
+  if (!status || document.getElementById('linksToggle')) return;
+  const mode = document.createElement('button');
+  mode.className = 'tool-btn';
+  mode.id = 'modeToggle';
+  mode.title = 'Switch between the swimlane hierarchy and the process-flow (step link) view';
+  const toggle = document.createElement('button');
+  toggle.className = 'tool-btn active';
+  toggle.id = 'linksToggle';
+  toggle.title = 'Show step links — drag a node\'s port onto another step to link them';
+  toggle.textContent = '🔀 Links';
+  const chain = document.createElement('button');
+  chain.className = 'tool-btn';
+  chain.id = 'rechainBtn';
+  chain.title = 'Shift+click steps in order, then re-chain them';
+  chain.textContent = '⛓ Re-chain';
+  chain.disabled = true;
+  status.before(mode, toggle, chain);
+  modeLabel();
+
+  // Balance mode is entered from the ⚖️ Balance panel; the toggle leaves it
+  mode.addEventListener('click', () => {
+    state.setGraphMode(state.graphMode === 'swimlane' ? 'flow' : 'swimlane');
+    window._eagleEyeRefreshView();
+  });
+
+  toggle.addEventListener('click', () => {
+    state.setShowStepLinks(!state.showStepLinks);
+    toggle.classList.toggle('active', state.showStepLinks);
+    if (currentView === 'graph') renderGraph();
+  });
+  chain.addEventListener('click', rechainSelection);
+}
+
+// ============================================================
+// SIGNED-IN USER — sign-in itself lives on the main page (index.html)
+// ============================================================
+
+function buildUserPill() {
+  const bar = document.getElementById('historyBar');
+  if (!bar || document.getElementById('userPill')) return;
+  const pill = document.createElement('a');
+  pill.id = 'userPill';
+  pill.className = 'user-pill';
+  pill.href = 'index.html';
+  bar.appendChild(pill);
+  renderUserPill();
+}
+
+// Again once loadUserProfile() has the role from the server
+function renderUserPill() {
+  const pill = document.getElementById('userPill');
+  if (!pill) return;
+  if (currentUser()) {
+    pill.textContent = `${role()} · ${actorName()}`;
+    pill.title = can('edit') ? 'Signed in' : 'Read-only — sign in as an engineer to edit';
+  } else {
+    pill.textContent = '🔑 Sign in';
+    pill.title = 'Read-only until you sign in';
+  }
+}
+
+// ============================================================
+// CONNECTION + OUTBOX STATUS
+// ============================================================
+
+// `offline` is the cachedAt timestamp when the data came from the IndexedDB cache
+function showConnection(offline) {
+  const dot = document.getElementById('statusDot');
+  if (offline || !navigator.onLine) {
+    const when = offline ? new Date(offline).toLocaleString() : null;
+    setStatus(when ? `Offline — cached ${when}` : 'Offline');
+    if (dot) dot.style.background = '#f59e0b';
+  } else {
+    setStatus(storeKind === 'local' ? `Local data ${APP_VERSION}` : `Connected ${APP_VERSION}`);
+    if (dot) dot.style.background = storeKind === 'local' ? '#f59e0b' : '#10b981';
+  }
+}
+
+function renderOutboxBadge({ pending, failed }) {
+  const status = document.getElementById('statusText');
+  if (!status) return;
+  let badge = document.getElementById('outboxBadge');
+  if (!badge) {
+    badge = document.createElement('button');
+    badge.id = 'outboxBadge';
+    badge.className = 'outbox-badge';
+    badge.addEventListener('click', async () => {
+      await retryFailed();
+      await syncOutbox();
+    });
+    status.after(badge);
+  }
+  badge.style.display = pending || failed ? '' : 'none';
+  badge.classList.toggle('has-failed', failed > 0);
+  badge.textContent = [pending ? `${pending} pending` : '', failed ? `${failed} failed` : ''].filter(Boolean).join(' · ');
+  badge.title = failed ? 'Some edits were rejected by the server — click to retry' : 'Edits waiting for a connection — click to sync now';
+}
+
+async function syncOutbox() {
+  const res = await replayOutbox();
+  if (res.sent) showToast(`Synced ${res.sent} offline edit${res.sent > 1 ? 's' : ''}`);
+  if (res.failed) showToast(`${res.failed} edit${res.failed > 1 ? 's' : ''} failed to sync`, 'error');
+}
+
+function setupConnectionWatch() {
+  onOutboxChange(renderOutboxBadge);
+  window.addEventListener('offline', () => showConnection(null));
+  window.addEventListener('online', async () => {
+    await syncOutbox();
+    if (state.assy) {
+      try { await reload(); } catch (e) { console.warn('reload after reconnect:', e.message); }
+    }
+    showConnection(null);
+  });
+}
+
 function setStatus(msg) { const el = document.getElementById('statusText'); if (el) el.textContent = msg; }
 
+// Total work content vs the critical path: the gap is what parallel work saves
+function timingStats() {
+  const t = state.getTiming();
+  if (!t.timed) return '';
+  const untimed = state.steps.length - t.timed;
+  return ` · ⏱ Σ ${fmtMin(t.work)} · critical path ${fmtMin(t.makespan)}` +
+    (t.labor !== t.work ? ` · ${fmtMin(t.labor)} labor` : '') +
+    (untimed ? ` · ${untimed} untimed` : '') + (t.cyclic.length ? ' · ⚠️ cycle' : '');
+}
+
 function updateStats() {
   document.getElementById('statsText').textContent =
-    `${state.steps.length} steps · ${state.stepLinks.length} links · ${Object.keys(state.masterMap).length} master`;
+    `${state.steps.length} steps · ${state.stepLinks.length} links · ${state.masterCount ?? '?'} master` + timingStats();
+  runLinkCheck();
+  runTreeLint();
+  renderBalancePanel();
 }
 
 // ============================================================
@@ -267,6 +677,7 @@ function setupEventListeners() {
   document.getElementById('filterAll')?.addEventListener('click', () => {
     state.setVisibleGroupIds(null);
     updateFilterChipStates();
+    syncRoute();
     if (currentView === 'graph') { renderGraph(); fitToScreen(false); }
   });
 
@@ -283,6 +694,7 @@ function setupEventListeners() {
     }
     state.setVisibleGroupIds(ecnGroupIds);
     updateFilterChipStates();
+    syncRoute();
     if (currentView === 'graph') { renderGraph(); fitToScreen(false); }
   });
 
@@ -309,6 +721,7 @@ function setupEventListeners() {
 
   document.getElementById('ecnClear')?.addEventListener('click', async () => {
     // Clear all ECN status in Supabase
+    if (!can('createEcn')) { showToast('Clearing ECN markings needs an engineer role', 'error'); return; }
     var gids = state.groups.map(function(g) { return g.id; });
     await clearAllEcnStatus(state.assy?.id, gids);
     // Clear local state
@@ -322,6 +735,16 @@ function setupEventListeners() {
 
   // Global
   document.addEventListener('keydown', e => { if (e.key === 'Escape') hideContextMenu(); });
+  document.addEventListener('keydown', onHistoryKey);
+  buildHistoryControls();
+  buildLinkCheck();
+  buildTreeLint();
+  buildLinkControls();
+  buildBalanceControls();
+  buildKitControls();
+  buildTorqueSpecControls();
+  buildGlobalSearch(openSearchResult);
+  buildUserPill();
   window.addEventListener('resize', () => { if (currentView === 'graph' && state.steps.length > 0) renderGraph(); });
 }
 
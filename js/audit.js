@@ -0,0 +1,72 @@
+// ============================================================
+// Eagle Eye Tree - Audit Trail (v3.19)
+// One eagle_eye_app_audit_log row per changed field:
+// actor, time, entity, field, old → new. Deletes log the whole
+// row as JSON. Written by database.js; read by the detail panel.
+// Schema: migration 10 in migrations.js
+// ============================================================
+
+import { TABLES as T } from './config.js';
+import { store } from './storage.js';
+import { enqueue, isNetworkError } from './offline.js';
+import { actorName } from './auth.js';
+
+const ENTITY = { [T.step]: 'step', [T.part]: 'part', [T.fast]: 'fastener', [T.grp]: 'group', [T.slink]: 'link' };
+
+let context = { assemblyId: null };
+
+export function setAuditContext(ctx) { context = { ...context, ...ctx }; }
+
+// Who is editing — the signed-in display name (auth.js)
+export function getActor() { return actorName(); }
+
+const text = v => v === null || v === undefined ? null : typeof v === 'object' ? JSON.stringify(v) : String(v);
+
+function entry(table, id, stepId, action, field, oldValue, newValue) {
+  return {
+    assembly_id: context.assemblyId, step_id: stepId ?? null,
+    entity: ENTITY[table] || table, entity_id: id, action, field,
+    old_value: text(oldValue), new_value: text(newValue),
+    actor: getActor(), created_at: new Date().toISOString()
+  };
+}
+
+// Audit rows are insert-only, so when offline they wait in the outbox like any other edit
+async function write(rows) {
+  if (!rows.length) return;
+  const { error } = await store.insert(T.audit, rows);
+  if (error && isNetworkError(error)) await enqueue(T.audit, null, rows, 'audit', 'insert');
+  else if (error) console.warn('audit write:', error.message);
+}
+
+// `before` is the row as read before the write (may be null when it couldn't be read)
+export function auditUpdate(table, id, before, patch) {
+  const stepId = table === T.step ? id : before?.step_id;
+  const rows = Object.keys(patch)
+    .filter(f => !before || text(before[f]) !== text(patch[f]))
+    .map(f => entry(table, id, stepId, 'update', f, before ? before[f] : null, patch[f]));
+  return write(rows);
+}
+
+// `rows` is one row or several (a step delete takes its parts and fasteners along)
+export function auditDelete(table, rows) {
+  return write([].concat(rows).map(row => entry(table, row.id, table === T.step ? row.id : row.step_id, 'delete', null, row, null)));
+}
+
+export function auditInsert(table, rows) {
+  return write([].concat(rows).map(row => entry(table, row.id, table === T.step ? row.id : row.step_id, 'insert', null, null, row)));
+}
+
+export function auditMove(table, id, stepId, from, to) {
+  return write([entry(table, id, stepId, 'move', 'sort_order', from + 1, to + 1)]);
+}
+
+// The newest `limit` entries, newest first — cut on the server (migration 10 indexes
+// created_at desc), so a long history never runs into the max-rows cap.
+// { assemblyId } for the whole assembly, { stepId } for one step.
+export async function loadAuditLog({ assemblyId, stepId, limit = 200 }) {
+  const match = stepId ? { step_id: stepId } : { assembly_id: assemblyId };
+  const { data, error } = await store.select(T.audit, match, { order: 'created_at', desc: true, limit });
+  if (error) return { data: [], error };
+  return { data, error: null };
+}
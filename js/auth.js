@@ -0,0 +1,141 @@
+// ============================================================
+// Eagle Eye Tree - Signed-in User + Roles (v3.17)
+// Sign-in happens in index.html (Supabase Auth); the session is
+// shared through localStorage.eagleEyeSession and kept fresh by
+// keepSessionFresh() in both apps. The role is read from
+// eagle_eye_app_users on every start (loadProfile), not from
+// that copy. can() only shapes the UI — row-level security
+// (migration 13) is what stops a viewer's writes.
+// Schema: migrations 11 and 13 in migrations.js
+// No imports beyond config.js so index.html can load it too.
+// ============================================================
+
+import { SUPABASE_URL, SUPABASE_ANON_KEY } from './config.js';
+
+const SESSION_KEY = 'eagleEyeSession';
+const REFRESH_LEAD_MS = 60000;   // refresh this long before the access token runs out
+const RETRY_MS = 30000;          // after a dropped connection, try the refresh again this much later
+
+export const ROLES = ['viewer', 'operator', 'engineer', 'admin'];
+
+// The one copy: index.html imports it, and migration 13 builds eagle_eye_app_can() from it
+export const ROLE_PERMS = {
+  viewer: [],
+  operator: ['applyEcn', 'assignUnits'],
+  engineer: ['applyEcn', 'assignUnits', 'edit', 'delete', 'createEcn'],
+  admin: ['applyEcn', 'assignUnits', 'edit', 'delete', 'createEcn', 'freeze', 'unlockLayout']
+};
+
+let profile = null;   // { display_name, role } from loadProfile()
+
+let refreshTimer = null;
+const refreshListeners = [];
+
+function readSaved() {
+  try { return JSON.parse(localStorage.getItem(SESSION_KEY) || 'null'); } catch (e) { return null; }
+}
+
+// An expired Supabase session counts as signed out — keepSessionFresh() renews it before then
+function savedSession() {
+  const saved = readSaved();
+  if (!saved || (saved.session && saved.session.expires_at * 1000 < Date.now())) return null;
+  return saved;
+}
+
+// ============================================================
+// SESSION — Supabase Auth token grants, shared by both apps
+// ============================================================
+
+// grant 'password' ({ email, password }) or 'refresh_token' ({ refresh_token }) → session
+export async function requestSession(grant, body) {
+  const r = await fetch(`${SUPABASE_URL}/auth/v1/token?grant_type=${grant}`, {
+    method: 'POST', headers: { apikey: SUPABASE_ANON_KEY, 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+  });
+  const j = await r.json();
+  if (!r.ok) throw new Error(j.error_description || j.msg || `Sign-in failed (${r.status})`);
+  return {
+    access_token: j.access_token, refresh_token: j.refresh_token,
+    expires_at: j.expires_at || Math.floor(Date.now() / 1000) + j.expires_in,
+    user: { id: j.user.id, email: j.user.email }
+  };
+}
+
+// The saved session, renewed and written back first when it's within a minute of expiring.
+// A session another tab has already renewed is taken as is rather than spending the
+// rotated refresh token again. null when signed out.
+export async function refreshSession() {
+  const saved = readSaved();
+  if (!saved?.session) return null;
+  if (saved.session.expires_at * 1000 - Date.now() > REFRESH_LEAD_MS) return saved.session;
+  const session = await requestSession('refresh_token', { refresh_token: saved.session.refresh_token });
+  const now = readSaved();
+  if (!now?.session) return null;   // signed out while the request was out
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ ...now, session }));
+  return session;
+}
+
+// Renew the saved session before it expires for as long as the page stays open, and tell
+// onSessionRefresh() listeners about each new token. A dropped connection retries;
+// onFail(error) runs when the server refuses the refresh token.
+export function keepSessionFresh({ onFail } = {}) {
+  clearTimeout(refreshTimer);
+  const current = readSaved()?.session;
+  if (!current) return;
+  const run = () => refreshSession().then(session => {
+    if (!session) return;
+    if (session.access_token !== current.access_token) refreshListeners.forEach(fn => fn(session));
+    keepSessionFresh({ onFail });
+  }).catch(e => {
+    if (e instanceof TypeError) refreshTimer = setTimeout(run, RETRY_MS);
+    else onFail?.(e);
+  });
+  refreshTimer = setTimeout(run, Math.max(current.expires_at * 1000 - Date.now() - REFRESH_LEAD_MS, 0));
+}
+
+export function onSessionRefresh(fn) { refreshListeners.push(fn); }
+
+// ============================================================
+// PROFILE + PERMISSIONS
+// ============================================================
+
+// fetchRow(userId) → { display_name, role } | null, from the backend's users table.
+// null fetchRow = the local store, which has no users: its demo sign-in (a profile
+// without a session) stands. offline: the server can't be asked, so the saved copy
+// stands in until it can — writes made meanwhile are still checked when they sync.
+export async function loadProfile(fetchRow, { offline = false } = {}) {
+  const saved = savedSession();
+  profile = null;
+  if (!saved) return null;
+  if (!fetchRow) profile = saved.session ? null : saved.profile || null;
+  else if (!saved.session) return null;
+  else if (offline) profile = saved.profile || null;
+  else {
+    const row = await fetchRow(saved.session.user.id);
+    profile = { display_name: row?.display_name || saved.session.user.email, role: ROLES.includes(row?.role) ? row.role : 'viewer' };
+  }
+  return profile;
+}
+
+// { session, profile: { display_name, role } } or null until loadProfile() has run
+export function currentUser() {
+  const saved = savedSession();
+  return saved && profile ? { session: saved.session || null, profile } : null;
+}
+
+export function actorName() {
+  const u = currentUser();
+  return u ? (u.profile.display_name || u.session?.user?.email || 'Guest') : 'Guest';
+}
+
+export function role() {
+  const r = currentUser()?.profile.role;
+  return ROLES.includes(r) ? r : 'viewer';
+}
+
+export function can(perm) { return ROLE_PERMS[role()].includes(perm); }
+
+// Lowest role that has `perm`, for "needs engineer role" messages
+export function minRole(perm) { return ROLES.find(r => ROLE_PERMS[r].includes(perm)) || 'admin'; }
+
+// Known before the profile loads; the Supabase store reads it for every request
+export function accessToken() { return savedSession()?.session?.access_token || null; }
@@ -0,0 +1,173 @@
+// ============================================================
+// Eagle Eye Tree - Line Balance (v3.23)
+// Assigns steps to workstations for a target takt (balanceLine
+// in links.js) without breaking step-link precedence. The graph's
+// 'balance' mode draws one lane per station; dragging a step onto
+// another lane re-assigns it and the panel's load / idle /
+// efficiency numbers follow while dragging. A plan is a what-if,
+// not part of the tree, so it's kept per assembly in localStorage.
+// ============================================================
+
+import * as state from './state.js';
+import { balanceLine, stationLoads, stationRange } from './links.js';
+import { showToast } from './ui.js';
+import { fmtMin } from './views.js';
+
+const PLAN_KEY = 'eagleEyeBalance:';
+const DEFAULT_STATIONS = 4;
+
+const stepTime = id => state.steps.find(s => s.id === id)?.std_time || 0;
+const stepIds = () => state.steps.map(s => s.id);
+
+// The plan for the open assembly, restored from localStorage on first use
+export function currentPlan() {
+  if (!state.assy) return null;
+  const plan = state.lineBalance;
+  if (plan && plan.assyId === state.assy.id) return plan;
+  let saved = null;
+  try { saved = JSON.parse(localStorage.getItem(PLAN_KEY + state.assy.id) || 'null'); } catch (e) { saved = null; }
+  const restored = saved ? { assyId: state.assy.id, takt: saved.takt, stations: saved.stations, assign: new Map(saved.assign) } : null;
+  state.setLineBalance(restored);
+  return restored;
+}
+
+function savePlan(plan) {
+  state.setLineBalance(plan);
+  localStorage.setItem(PLAN_KEY + plan.assyId, JSON.stringify({ takt: plan.takt, stations: plan.stations, assign: [...plan.assign] }));
+}
+
+// Steps deleted since the plan was made drop out; new ones stay unassigned
+function liveAssign(plan) {
+  const ids = new Set(stepIds());
+  return new Map([...plan.assign].filter(([id, st]) => ids.has(id) && st < plan.stations));
+}
+
+// { loads, idle, over, work, cycle, efficiency, unassigned, untimed } — `preview`
+// ({ id, station }) is a drag in progress: station null → back to unassigned
+export function balanceReport(preview) {
+  const plan = currentPlan();
+  if (!plan) return null;
+  const assign = liveAssign(plan);
+  if (preview) {
+    if (preview.station === null) assign.delete(preview.id);
+    else assign.set(preview.id, preview.station);
+  }
+  const r = stationLoads(stepIds(), stepTime, assign, plan.stations, plan.takt);
+  r.assign = assign;
+  r.unassigned = state.steps.filter(s => !assign.has(s.id)).map(s => s.id);
+  r.untimed = state.steps.filter(s => !s.std_time).length;
+  return r;
+}
+
+export function runBalance(takt, stations) {
+  if (!state.assy) return;
+  const ids = stepIds();
+  const work = ids.reduce((t, id) => t + stepTime(id), 0);
+  if (!work) { showToast('Set standard times on the steps first', 'error'); return; }
+  if (!(stations >= 1)) { showToast('Stations must be at least 1', 'error'); return; }
+  // No takt given → the shortest one the station count allows
+  const longest = Math.max(...ids.map(stepTime));
+  const target = takt > 0 ? takt : Math.ceil(Math.max(longest, work / stations) * 10) / 10;
+  const assign = balanceLine(ids, stepTime, state.stepLinks, { takt: target, stations });
+  savePlan({ assyId: state.assy.id, takt: target, stations, assign });
+  const left = ids.length - assign.size;
+  if (left) showToast(`${left} step${left > 1 ? 's' : ''} on a link cycle left unassigned`, 'error');
+  state.setGraphMode('balance');
+  window._eagleEyeRefreshView?.();
+}
+
+// Re-assign one step (graph drag). station null → unassigned. Returns an error
+// message when the move would put a step ahead of a parent or after a child.
+export function moveStepToStation(stepId, station) {
+  const plan = currentPlan();
+  if (!plan) return null;
+  const assign = liveAssign(plan);
+  if (station !== null) {
+    const { min, max } = stationRange(stepId, assign, state.stepLinks, plan.stations);
+    if (station < min || station > max) {
+      const name = state.steps.find(s => s.id === stepId)?.label || 'Step';
+      return station < min
+        ? `${name} can't run before station ${min + 1} — a step it depends on is there`
+        : `${name} can't run after station ${max + 1} — a step that needs it is there`;
+    }
+    assign.set(stepId, station);
+  } else {
+    assign.delete(stepId);
+  }
+  savePlan({ ...plan, assign });
+  renderBalancePanel();
+  return null;
+}
+
+// ============================================================
+// PANEL
+// ============================================================
+
+export function buildBalanceControls() {
+  const status = document.getElementById('statusText');
+  if (!status || document.getElementById('balanceBtn')) return;
+  const btn = document.createElement('button');
+  btn.className = 'tool-btn';
+  btn.id = 'balanceBtn';
+  btn.title = 'Assign steps to workstations for a target takt time';
+  btn.textContent = '⚖️ Balance';
+  status.before(btn);
+
+  const panel = document.createElement('div');
+  panel.id = 'balancePanel';
+  panel.className = 'history-panel balance-panel';
+  panel.style.display = 'none';
+  document.body.appendChild(panel);
+
+  btn.addEventListener('click', () => {
+    panel.style.display = panel.style.display === 'none' ? '' : 'none';
+    btn.classList.toggle('active', panel.style.display !== 'none');
+    renderBalancePanel();
+  });
+}
+
+// `preview` as for balanceReport — the graph calls this on every drag move
+export function renderBalancePanel(preview) {
+  const panel = document.getElementById('balancePanel');
+  if (!panel || panel.style.display === 'none' || !state.assy) return;
+  const plan = currentPlan();
+  const r = plan ? balanceReport(preview) : null;
+
+  let html = '<div class="spacing-panel-header"><span>⚖️ Line balance</span><button class="spacing-close" id="balanceClose">×</button></div>' +
+    '<div class="spacing-row"><span class="spacing-label">Takt time</span>' +
+    `<input type="number" class="spacing-num" id="balanceTakt" min="0" step="0.1" value="${plan ? plan.takt : ''}" placeholder="auto"><span class="spacing-unit">min</span></div>` +
+    '<div class="spacing-row"><span class="spacing-label">Stations</span>' +
+    `<input type="number" class="spacing-num" id="balanceStations" min="1" step="1" value="${plan ? plan.stations : DEFAULT_STATIONS}"></div>` +
+    '<div class="spacing-actions"><button class="spacing-action-btn" id="balanceRun">Balance</button>' +
+    (plan ? `<button class="spacing-action-btn" id="balanceShow">${state.graphMode === 'balance' ? '🏊 Back to swimlanes' : '⚖️ Show stations'}</button>` : '') + '</div>';
+
+  if (r) {
+    html += '<div class="history-list">' + r.loads.map((load, i) => {
+      const pct = Math.min(100, plan.takt ? load / plan.takt * 100 : 0);
+      const moving = preview && preview.station === i;
+      return `<div class="lc-row bal-row${r.over[i] ? ' over' : ''}${moving ? ' moving' : ''}"><b>S${i + 1}</b>` +
+        `<span class="bal-bar"><span style="width:${pct}%"></span></span>` +
+        `<span class="bal-num">${fmtMin(load)}</span><span class="bal-idle">${r.over[i] ? '+' + fmtMin(load - plan.takt) : 'idle ' + fmtMin(r.idle[i])}</span></div>`;
+    }).join('') + '</div>' +
+      `<div class="bal-summary">Σ ${fmtMin(r.work)} · cycle ${fmtMin(r.cycle)} · efficiency <b>${Math.round(r.efficiency * 100)}%</b></div>`;
+    if (r.cycle > plan.takt) html += `<div class="bal-note over">Slowest station is over takt by ${fmtMin(r.cycle - plan.takt)}</div>`;
+    if (r.unassigned.length) html += `<div class="bal-note">${r.unassigned.length} step${r.unassigned.length > 1 ? 's' : ''} unassigned — drag onto a station or balance again</div>`;
+    if (r.untimed) html += `<div class="bal-note">${r.untimed} step${r.untimed > 1 ? 's have' : ' has'} no standard time (counted as 0)</div>`;
+  } else {
+    html += '<div class="history-empty">Set a takt time (or leave it on auto) and a station count, then Balance.</div>';
+  }
+  panel.innerHTML = html;
+
+  document.getElementById('balanceClose').addEventListener('click', () => {
+    panel.style.display = 'none';
+    document.getElementById('balanceBtn')?.classList.remove('active');
+  });
+  document.getElementById('balanceRun').addEventListener('click', () => {
+    runBalance(parseFloat(document.getElementById('balanceTakt').value) || 0,
+      parseInt(document.getElementById('balanceStations').value));
+  });
+  document.getElementById('balanceShow')?.addEventListener('click', () => {
+    state.setGraphMode(state.graphMode === 'balance' ? 'swimlane' : 'balance');
+    window._eagleEyeRefreshView?.();
+  });
+}
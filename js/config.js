@@ -1,5 +1,5 @@
 // ============================================================
-// Eagle Eye Tree - Configuration (v3.2)
+// Eagle Eye Tree - Configuration (v3.29)
 // ============================================================
 
 export const SUPABASE_URL = 'https://wylxvmkcrexwfpjpbhyy.supabase.co';
@@ -12,7 +12,27 @@ export const TABLES = {
   part: 'eagle_eye_app_parts',
   fast: 'eagle_eye_app_fasteners',
   slink: 'eagle_eye_app_step_links',
-  master: 'master_parts_list_all'
+  master: 'master_parts_list_all',
+  audit: 'eagle_eye_app_audit_log',
+  torqueSpecs: 'eagle_eye_app_torque_specs',
+  // Used by the homepage (index.html); listed for the schema check (migrations.js)
+  layouts: 'eagle_eye_app_graph_layouts',
+  units: 'eagle_eye_app_production_units',
+  versions: 'eagle_eye_app_version_history',
+  ecnLog: 'eagle_eye_app_ecn_log',
+  ecnChanges: 'eagle_eye_app_ecn_change_records',
+  ecnApplied: 'eagle_eye_app_ecn_applications',
+  users: 'eagle_eye_app_users'
+};
+
+// Seed dataset for the local store (?store=local)
+export const LOCAL_SEED_URL = 'data/seed.json';
+
+// Display names for the assembly picker (same set as the homepage ASSY_META)
+export const ASSY_NAMES = {
+  GST_assy: 'Ghost (Full Robot)', MBB_assy: 'Mobile Base', PLR_assy: 'Pillar',
+  HBD_assy: 'Head & Body', GPR_assy: 'Gripper', ARM_assy: 'Arm',
+  LAC_assy: 'L-Motor', A12_assy: 'A12-Motor', A35_assy: 'A35-Motor', A4A_assy: 'A4-Motor'
 };
 
 // Level Colors
@@ -1,97 +1,441 @@
 // ============================================================
-// Eagle Eye Tree - Database Module (v3.2)
+// Eagle Eye Tree - Database Module (v3.29)
+// App-level data operations. Backend calls go through the
+// storage adapter (storage.js) so Supabase and the local
+// store behave the same.
 // ============================================================
 
-import { SUPABASE_URL, SUPABASE_ANON_KEY, TABLES as T } from './config.js';
+import { TABLES as T } from './config.js';
+import { store } from './storage.js';
+import { checkSchema } from './migrations.js';
+import { wouldCreateCycle, chainPairs } from './links.js';
+import { record } from './history.js';
+import { auditUpdate, auditDelete, auditInsert, auditMove, setAuditContext } from './audit.js';
+import { can, minRole, actorName, loadProfile, refreshSession } from './auth.js';
+import { showToast, showMergePrompt } from './ui.js';
+import { isNetworkError, cacheAssembly, getCachedAssembly, cacheAssemblyList, getCachedAssemblyList, enqueue, hasPending, pendingOps, flushOutbox } from './offline.js';
 
-export const db = supabase.createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+export const storeKind = store.kind;
 
 // ============================================================
 // DATA LOADING
 // ============================================================
 
+export async function loadAssemblies() {
+  const { data, error } = await store.listAssemblies();
+  if (error && isNetworkError(error)) return getCachedAssemblyList();
+  if (error) throw new Error(error.message);
+  cacheAssemblyList(data || []);
+  return data || [];
+}
+
+// Falls back to the IndexedDB copy when the backend is unreachable; the result then
+// carries `offline: <cachedAt>` so the UI can say it's showing stale data.
 export async function loadAssemblyData(tag = 'HBD_assy') {
-  const { data: assy, error: ae } = await db.from(T.assy).select('*').eq('tag', tag).single();
-  if (ae || !assy) throw new Error(ae?.message || `Assembly ${tag} not found`);
-
-  const { data: groups } = await db.from(T.grp).select('*').eq('assembly_id', assy.id).order('sort_order');
-  const gids = (groups || []).map(g => g.id);
-  let steps = [], parts = [], fasts = [];
-  if (gids.length) {
-    const { data: s } = await db.from(T.step).select('*').in('group_id', gids).order('sort_order');
-    steps = s || [];
-    const sids = steps.map(x => x.id);
-    if (sids.length) {
-      const { data: p } = await db.from(T.part).select('*').in('step_id', sids).order('sort_order');
-      parts = p || [];
-      const { data: f } = await db.from(T.fast).select('*').in('step_id', sids).order('sort_order');
-      fasts = f || [];
+  const { data, error } = await store.loadAssembly(tag);
+  if (error && isNetworkError(error)) {
+    const cached = await getCachedAssembly(tag);
+    if (cached) {
+      setAuditContext({ assemblyId: cached.data.assy.id });
+      return rememberAll(applyPending({ ...cached.data, offline: cached.cachedAt }));
     }
   }
+  if (error || !data) throw new Error(error?.message || `Assembly ${tag} not found`);
+  rememberAll(data);
+  setAuditContext({ assemblyId: data.assy.id });   // audit rows are filed under the open assembly
+
+  await Promise.all([
+    saveNormalizedOrder(T.step, normalizeSortOrder(data.steps, 'group_id')),
+    saveNormalizedOrder(T.part, normalizeSortOrder(data.parts, 'step_id'))
+  ]);
 
-  const { data: stepLinks } = await db.from(T.slink).select('*').eq('assembly_id', assy.id);
-  const { data: mp } = await db.from(T.master).select('pn,name,location');
-  const masterMap = {};
-  (mp || []).forEach(p => { masterMap[p.pn] = { name: p.name, location: p.location }; });
+  const pns = [...data.parts, ...data.fasts, ...data.steps].map(x => x.pn).filter(Boolean);
+  data.masterMap = await lookupMasterParts(pns);
+  data.masterCount = await countMasterParts();
 
-  return { assy, groups: groups || [], steps, parts, fasts, stepLinks: stepLinks || [], masterMap };
+  if (store.kind !== 'local') cacheAssembly(tag, data);
+  return data;
+}
+
+// Every assembly's tree for global search (search.js): [{ assy, groups, steps, parts, fasts }]
+// plus a masterMap for all their P/Ns. An assembly that fails to load is skipped.
+export async function loadAllAssemblyTrees() {
+  const list = await loadAssemblies();
+  const trees = await Promise.all(list.map(async a => {
+    const { data, error } = await store.loadAssembly(a.tag);
+    if (error && isNetworkError(error)) return (await getCachedAssembly(a.tag))?.data || null;
+    if (error) console.error(`loadAllAssemblyTrees ${a.tag}:`, error.message);
+    return data || null;
+  }));
+  const loaded = trees.filter(Boolean);
+  const pns = loaded.flatMap(t => [...t.parts, ...t.fasts, ...t.steps].map(x => x.pn)).filter(Boolean);
+  return { trees: loaded, masterMap: await lookupMasterParts(pns) };
 }
 
 // ============================================================
-// REORDER — swap sort_order of two adjacent items
+// MASTER PARTS — on-demand lookup by P/N, cached per session
 // ============================================================
 
-export async function reorderStep(stepId, direction, groupId) {
-  const { data: steps } = await db.from(T.step).select('id,sort_order')
-    .eq('group_id', groupId).order('sort_order');
-  if (!steps) return false;
-
-  const idx = steps.findIndex(s => s.id === stepId);
-  if (idx < 0) return false;
-  const swapIdx = direction === 'up' ? idx - 1 : idx + 1;
-  if (swapIdx < 0 || swapIdx >= steps.length) return false;
-
-  const a = steps[idx], b = steps[swapIdx];
-  await db.from(T.step).update({ sort_order: b.sort_order }).eq('id', a.id);
-  await db.from(T.step).update({ sort_order: a.sort_order }).eq('id', b.id);
+const masterCache = new Map();   // pn → { name, location } | null (looked up, not in master)
+let masterCount = null;
+
+// Returns { pn: { name, location } } for every P/N found; only uncached P/Ns hit the backend
+export async function lookupMasterParts(pns) {
+  const wanted = [...new Set(pns)];
+  const missing = wanted.filter(pn => !masterCache.has(pn));
+  if (missing.length) {
+    const { data, error } = await store.lookupMaster(missing);
+    if (error) console.error('lookupMasterParts error:', error.message);
+    else {
+      missing.forEach(pn => masterCache.set(pn, null));
+      data.forEach(p => masterCache.set(p.pn, { name: p.name, location: p.location }));
+    }
+  }
+  const map = {};
+  wanted.forEach(pn => { const m = masterCache.get(pn); if (m) map[pn] = m; });
+  return map;
+}
+
+// P/N autocomplete: master rows whose P/N starts with (or name contains) the query
+export async function searchMasterParts(query, limit = 12) {
+  if (!query || query.length < 2) return [];
+  const { data, error } = await store.searchMaster(query, limit);
+  if (error) { console.error('searchMasterParts error:', error.message); return []; }
+  data.forEach(p => masterCache.set(p.pn, { name: p.name, location: p.location }));
+  return data;
+}
+
+export async function countMasterParts() {
+  if (masterCount !== null) return masterCount;
+  const { data, error } = await store.countMaster();
+  if (error) { console.error('countMasterParts error:', error.message); return null; }
+  masterCount = data;
+  return masterCount;
+}
+
+// Replay queued edits over cached rows so offline reloads don't lose them
+function applyPending(data) {
+  const rowsFor = { [T.step]: data.steps, [T.part]: data.parts, [T.fast]: data.fasts };
+  pendingOps().filter(op => op.kind !== 'insert').forEach(op => {
+    const row = (rowsFor[op.table] || []).find(r => r.id === op.match.id);
+    if (row) Object.assign(row, op.patch);
+  });
+  return data;
+}
+
+// ============================================================
+// QUEUED WRITES — offline edits go to the outbox (offline.js)
+// ============================================================
+
+// Writes straight through when online and nothing is queued ahead of it (keeps ordering);
+// otherwise, or on a network failure, the update is queued and counts as accepted.
+async function queuedUpdate(table, id, patch, label) {
+  if (!navigator.onLine || hasPending()) return queue(table, id, patch, label);
+  const res = await writeGuarded(table, id, patch);
+  if (res.error && isNetworkError(res.error)) return queue(table, id, patch, label);
+  if (res.error) console.error(`${label} error:`, res.error.message);
+  return !!res.ok;
+}
+
+async function queue(table, id, patch, label) {
+  const g = guarded(table, id, patch);
+  await enqueue(table, g.match, g.patch, label);
+  // The next queued edit of this row builds on this one
+  if (g.patch.updated_at) seen.set(`${table}:${id}`, g.patch.updated_at);
   return true;
 }
 
-export async function reorderPart(partId, direction, stepId) {
-  const { data: parts } = await db.from(T.part).select('id,sort_order')
-    .eq('step_id', stepId).order('sort_order');
-  if (!parts) return false;
-
-  const idx = parts.findIndex(p => p.id === partId);
-  if (idx < 0) return false;
-  const swapIdx = direction === 'up' ? idx - 1 : idx + 1;
-  if (swapIdx < 0 || swapIdx >= parts.length) return false;
-
-  const a = parts[idx], b = parts[swapIdx];
-  await db.from(T.part).update({ sort_order: b.sort_order }).eq('id', a.id);
-  await db.from(T.part).update({ sort_order: a.sort_order }).eq('id', b.id);
+// A guarded op that matches nothing was overtaken by someone else's save while
+// offline; it's marked failed so it shows in the outbox badge instead of vanishing.
+export function replayOutbox() {
+  return flushOutbox(async op => {
+    if (op.kind === 'insert') return store.insert(op.table, op.patch);
+    const res = await store.update(op.table, op.match, op.patch);
+    if (!res.error && 'updated_at' in op.match && !(res.data || []).length) {
+      return { data: null, error: { message: 'changed on the server since this offline edit — reload and redo it' } };
+    }
+    remember(op.table, res.data);
+    return res;
+  });
+}
+
+async function directUpdate(table, id, patch, label) {
+  const res = await writeGuarded(table, id, patch);
+  if (res.error) console.error(`${label} error:`, res.error.message);
+  return !!res.ok;
+}
+
+// ============================================================
+// CONCURRENCY — an update only lands while the row still has the
+// updated_at we last read; otherwise the user picks whose value wins.
+// Columns: migration 12 (migrations.js)
+// ============================================================
+
+const seen = new Map();   // `${table}:${id}` → updated_at as last read or written
+let guardOk = true;       // off once the backend turns out to lack the columns
+const ENTITY_NAME = { [T.step]: 'step', [T.part]: 'part', [T.fast]: 'fastener', [T.grp]: 'group', [T.slink]: 'link' };
+
+function remember(table, rows) { (rows || []).forEach(r => seen.set(`${table}:${r.id}`, r.updated_at ?? null)); }
+
+// The server restamps updated_at on every update (migration 12), and a renumber returns
+// no rows — re-read the stamps so the next edit of those rows isn't taken as stale
+async function rememberStamps(table, ids) {
+  if (!guardOk) return;
+  const { data } = await store.select(table, { id: ids }, { columns: 'id,updated_at' });
+  remember(table, data);
+}
+
+function rememberAll(data) {
+  remember(T.grp, data.groups); remember(T.step, data.steps);
+  remember(T.part, data.parts); remember(T.fast, data.fasts);
+  return data;
+}
+
+// Match + patch for a guarded write. Rows never read (e.g. just inserted) go unguarded.
+function guarded(table, id, patch) {
+  if (!guardOk) return { match: { id }, patch };
+  const key = `${table}:${id}`;
+  return {
+    match: seen.has(key) ? { id, updated_at: seen.get(key) } : { id },
+    patch: { ...patch, updated_at: new Date().toISOString(), updated_by: actorName() }
+  };
+}
+
+const missingColumn = error => /updated_(at|by)/.test(error.message || '');
+
+// → { ok } written, { stale } someone else saved first, or { error }
+async function guardedUpdate(table, id, patch) {
+  const g = guarded(table, id, patch);
+  const { data, error } = await store.update(table, g.match, g.patch);
+  if (error && guardOk && missingColumn(error)) {
+    guardOk = false;
+    console.warn('⚠️ updated_at missing (migration 12) — edits are not conflict-checked until it runs');
+    return guardedUpdate(table, id, patch);
+  }
+  if (error) return { error };
+  if (!data || !data.length) return { stale: true };
+  remember(table, data);
+  return { ok: true };
+}
+
+async function writeGuarded(table, id, patch) {
+  const res = await guardedUpdate(table, id, patch);
+  return res.stale ? resolveStale(table, id, patch) : res;
+}
+
+// Show both values; 'mine' retries against the server's current version,
+// 'server' drops the edit and reloads so the view shows their value.
+async function resolveStale(table, id, patch) {
+  const current = await readRow(table, id);
+  const name = ENTITY_NAME[table] || table;
+  if (!current) return { error: { message: `${name} was deleted by someone else` } };
+  remember(table, [current]);
+  const fields = Object.keys(patch).filter(f => String(current[f] ?? '') !== String(patch[f] ?? ''));
+  if (!fields.length) return { ok: true };   // they saved the same value
+  const choice = await showMergePrompt({
+    entity: name, by: current.updated_by, at: current.updated_at,
+    fields: fields.map(f => ({ field: f, mine: patch[f], server: current[f] }))
+  });
+  if (choice === 'mine') return writeGuarded(table, id, patch);
+  await window._eagleEyeReload?.();
+  return { ok: false };
+}
+
+// The signed-in user's role, from eagle_eye_app_users on every start, after renewing
+// a session that's about to expire. The local store has no users table, so its demo
+// sign-in stands. A user whose row can't be read (no migration 11, RLS) or whose
+// refresh is refused is a viewer; offline, the saved copy stands in.
+export async function loadUserProfile() {
+  if (store.kind === 'local') return loadProfile(null);
+  const fetchRow = async id => {
+    const { data, error } = await store.select(T.users, { id }, { columns: 'display_name,role' });
+    if (error) throw error;
+    return data[0] || null;
+  };
+  try {
+    await refreshSession();
+    return await loadProfile(fetchRow);
+  } catch (e) {
+    if (isNetworkError(e)) return loadProfile(fetchRow, { offline: true });
+    console.error('loadUserProfile error:', e.message);
+    return loadProfile(async () => null);
+  }
+}
+
+// Role check for writes (auth.js). Views hide most controls already; this
+// catches the rest (keyboard edits, drags, graph tools).
+function allowed(perm) {
+  if (can(perm)) return true;
+  showToast(`Needs ${minRole(perm)} role — sign in on the main page`, 'error');
+  return false;
+}
+
+// ============================================================
+// UNDO + AUDIT TRACKING — every edit records its inverse
+// (history.js) and its before/after values (audit.js)
+// ============================================================
+
+async function readRow(table, id, columns = '*') {
+  const { data, error } = await store.select(table, { id }, { columns });
+  return error || !data || !data.length ? null : data[0];
+}
+
+// Snapshot the columns about to change, write, and record the inverse. If the old
+// values can't be read (offline) the edit still goes through, just without undo.
+async function trackedUpdate(desc, table, id, patch, write) {
+  if (!allowed('edit')) return false;
+  const fields = Object.keys(patch);
+  const before = await readRow(table, id, (table === T.step ? fields : fields.concat('step_id')).join(','));
+  const ok = await write(patch);
+  if (!ok) return false;
+  auditUpdate(table, id, before, patch);
+  if (before) {
+    const old = {};
+    fields.forEach(f => { old[f] = before[f]; });
+    const apply = (from, to) => async () => {
+      const done = await write(to);
+      if (done) auditUpdate(table, id, { ...from, step_id: before.step_id }, to);
+      return done;
+    };
+    record({ label: desc, undo: apply(patch, old), redo: apply(old, patch) });
+  }
   return true;
 }
 
+// Deleted rows are re-inserted with their original id on undo
+async function trackedDelete(desc, table, id) {
+  if (!allowed('delete')) return false;
+  const before = await readRow(table, id);
+  const { error } = await store.remove(table, { id });
+  if (error) { console.error(`delete ${table} error:`, error.message); return false; }
+  if (before) {
+    auditDelete(table, before);
+    record({
+      label: desc,
+      undo: async () => {
+        const { error: e } = await store.insert(table, [before]);
+        if (!e) auditInsert(table, before);
+        return !e;
+      },
+      redo: async () => {
+        const { error: e } = await store.remove(table, { id });
+        if (!e) auditDelete(table, before);
+        return !e;
+      }
+    });
+  }
+  return true;
+}
+
+// ============================================================
+// REORDER — whole scope renumbered 1..n in one call
+// ============================================================
+
+const bySortThenId = (a, b) => (a.sort_order || 0) - (b.sort_order || 0) || a.id - b.id;
+
+async function orderedIds(table, scopeCol, scopeId) {
+  const { data, error } = await store.select(table, { [scopeCol]: scopeId }, { columns: 'id,sort_order' });
+  if (error) { console.error(`${table} order error:`, error.message); return null; }
+  return data.sort(bySortThenId).map(r => r.id);
+}
+
+// Move `id` to position `toIndex` among its siblings and renumber them
+async function moveTo(table, scopeCol, scopeId, id, toIndex) {
+  if (!allowed('edit')) return false;
+  const ids = await orderedIds(table, scopeCol, scopeId);
+  if (!ids) return false;
+  const from = ids.indexOf(id);
+  if (from < 0 || toIndex < 0 || toIndex >= ids.length || from === toIndex) return false;
+  const before = ids.slice();
+  ids.splice(toIndex, 0, ids.splice(from, 1)[0]);
+  const stepId = table === T.step ? id : scopeId;
+  const ok = await renumber(table, ids);
+  if (!ok) return false;
+  auditMove(table, id, stepId, from, toIndex);
+  const apply = (order, a, b) => async () => {
+    const done = await renumber(table, order);
+    if (done) auditMove(table, id, stepId, a, b);
+    return done;
+  };
+  record({ label: `Move ${table === T.step ? 'step' : 'part'} to #${toIndex + 1}`, undo: apply(before, toIndex, from), redo: apply(ids.slice(), from, toIndex) });
+  return true;
+}
+
+async function renumber(table, ids) {
+  const { error } = await store.renumber(table, ids);
+  if (error) showToast(`Reorder failed: ${error.message}`, 'error');
+  else await rememberStamps(table, ids);
+  return !error;
+}
+
+export async function moveStep(stepId, groupId, toIndex) { return moveTo(T.step, 'group_id', groupId, stepId, toIndex); }
+export async function movePart(partId, stepId, toIndex) { return moveTo(T.part, 'step_id', stepId, partId, toIndex); }
+
+export async function reorderStep(stepId, direction, groupId) {
+  const ids = await orderedIds(T.step, 'group_id', groupId);
+  if (!ids) return false;
+  return moveTo(T.step, 'group_id', groupId, stepId, ids.indexOf(stepId) + (direction === 'up' ? -1 : 1));
+}
+
+export async function reorderPart(partId, direction, stepId) {
+  const ids = await orderedIds(T.part, 'step_id', stepId);
+  if (!ids) return false;
+  return moveTo(T.part, 'step_id', stepId, partId, ids.indexOf(partId) + (direction === 'up' ? -1 : 1));
+}
+
+// Duplicate or gapped sort_order inside a scope → 1..n (ties keep id order) on the
+// loaded rows. → the scopes that changed, as [{ row, from }] in their new order.
+function normalizeSortOrder(rows, scopeCol) {
+  const scopes = {}, dirty = [];
+  rows.forEach(r => { (scopes[r[scopeCol]] = scopes[r[scopeCol]] || []).push(r); });
+  for (const sibs of Object.values(scopes)) {
+    sibs.sort(bySortThenId);
+    if (sibs.some((r, i) => r.sort_order !== i + 1)) dirty.push(sibs.map(r => ({ row: r, from: r.sort_order })));
+    sibs.forEach((r, i) => { r.sort_order = i + 1; });
+  }
+  rows.sort(bySortThenId);
+  return dirty;
+}
+
+// Write normalized scopes back, one renumber each, so index.html and every other reader
+// get the same order. Needs the edit role: a viewer's load only fixes its own copy, and
+// an editor's next load writes it. Audited, not undoable.
+async function saveNormalizedOrder(table, dirty) {
+  if (!dirty.length || !can('edit')) return;
+  const results = await Promise.all(dirty.map(async sibs => {
+    const ids = sibs.map(x => x.row.id);
+    const { error } = await store.renumber(table, ids);
+    if (error) return error;
+    await rememberStamps(table, ids);
+    await Promise.all(sibs.filter(x => x.from !== x.row.sort_order).map(x =>
+      auditUpdate(table, x.row.id, { step_id: x.row.step_id, sort_order: x.from }, { sort_order: x.row.sort_order })));
+    return null;
+  }));
+  const error = results.find(Boolean);
+  if (error) showToast(`Couldn't save the fixed ${table === T.step ? 'step' : 'part'} order: ${error.message}`, 'error');
+}
+
 // ============================================================
 // SEQ TAG
 // ============================================================
 
 export async function updateSeqTag(stepId, tag) {
-  const { error } = await db.from(T.step).update({ seq_tag: tag || null }).eq('id', stepId);
-  return !error;
+  return trackedUpdate(tag ? `Set tag ${tag}` : 'Clear tag', T.step, stepId, { seq_tag: tag || null },
+    p => queuedUpdate(T.step, stepId, p, 'updateSeqTag'));
 }
 
 // ============================================================
-// AUTO-MIGRATION — ensure seq_tag column exists
+// SCHEMA CHECK — every table/column the app relies on
 // ============================================================
 
-export async function ensureSeqTagColumn() {
-  const { error } = await db.from(T.step).select('seq_tag').limit(1);
-  if (error && error.message.includes('seq_tag')) {
-    console.warn('⚠️ seq_tag column missing! Run in Supabase SQL Editor:');
-    console.warn('ALTER TABLE eagle_eye_app_steps ADD COLUMN IF NOT EXISTS seq_tag TEXT;');
-  }
+// Manifest in migrations.js against the live backend → [{ migration, missing }].
+// The local store is seeded from data/seed.json, which already has every column.
+export async function checkBackendSchema() {
+  if (store.kind === 'local') return [];
+  return checkSchema({
+    columns: async (table, cols) => (await store.probeColumn(table, cols)).error,
+    rpc: async (name, args) => (await store.probeRpc(name, args)).error
+  });
 }
 
 // ============================================================
@@ -99,15 +443,12 @@ export async function ensureSeqTagColumn() {
 // ============================================================
 
 export async function updatePart(partId, updates) {
-  const { error } = await db.from(T.part).update(updates).eq('id', partId);
-  if (error) console.error('updatePart error:', error.message);
-  return !error;
+  return trackedUpdate(`Edit part ${updates.pn || ''}`.trim(), T.part, partId, updates,
+    p => queuedUpdate(T.part, partId, p, 'updatePart'));
 }
 
 export async function deletePart(partId) {
-  const { error } = await db.from(T.part).delete().eq('id', partId);
-  if (error) console.error('deletePart error:', error.message);
-  return !error;
+  return trackedDelete('Delete part', T.part, partId);
 }
 
 // ============================================================
@@ -115,15 +456,225 @@ export async function deletePart(partId) {
 // ============================================================
 
 export async function updateFastener(fastId, updates) {
-  const { error } = await db.from(T.fast).update(updates).eq('id', fastId);
-  if (error) console.error('updateFastener error:', error.message);
-  return !error;
+  return trackedUpdate(`Edit fastener ${updates.pn || ''}`.trim(), T.fast, fastId, updates,
+    p => queuedUpdate(T.fast, fastId, p, 'updateFastener'));
 }
 
 export async function deleteFastener(fastId) {
-  const { error } = await db.from(T.fast).delete().eq('id', fastId);
-  if (error) console.error('deleteFastener error:', error.message);
-  return !error;
+  return trackedDelete('Delete fastener', T.fast, fastId);
+}
+
+// ============================================================
+// CREATE + DELETE — a deleted step takes its parts, fasteners,
+// links and ECN records along; undo puts all of it back
+// ============================================================
+
+// What hangs off a step, in restore order (parents before children)
+const STEP_CHILDREN = [[T.part, 'step_id'], [T.fast, 'step_id'], [T.ecnChanges, 'step_id'], [T.ecnApplied, 'step_id']];
+
+async function nextSortOrder(table, scopeCol, scopeId) {
+  const { data, error } = await store.select(table, { [scopeCol]: scopeId }, { columns: 'sort_order' });
+  return error ? 999 : data.reduce((max, r) => Math.max(max, r.sort_order || 0), 0) + 1;
+}
+
+// Insert one row at the end of its scope → the created row, or null
+async function trackedInsert(desc, table, row, scopeCol) {
+  if (!allowed('edit')) return null;
+  const full = { ...row, sort_order: await nextSortOrder(table, scopeCol, row[scopeCol]) };
+  let { data, error } = await store.insert(table, [guardOk ? { ...full, updated_by: actorName() } : full]);
+  if (error && guardOk && missingColumn(error)) {
+    guardOk = false;
+    ({ data, error } = await store.insert(table, [full]));
+  }
+  if (error || !data || !data.length) { console.error(`insert ${table} error:`, error?.message); return null; }
+  const created = data[0];
+  remember(table, [created]);
+  recordInsert(desc, table, created);
+  return created;
+}
+
+// Audit a new row; undo removes it, redo re-inserts it with the same id
+function recordInsert(desc, table, created) {
+  auditInsert(table, created);
+  record({
+    label: desc,
+    undo: async () => {
+      const { error: e } = await store.remove(table, { id: created.id });
+      if (!e) auditDelete(table, created);
+      return !e;
+    },
+    redo: async () => {
+      const { error: e } = await store.insert(table, [created]);
+      if (!e) auditInsert(table, created);
+      return !e;
+    }
+  });
+}
+
+// Every row under the given steps → [[table, rows]] in restore order, or null if any read fails
+async function readStepTree(stepIds) {
+  const tree = [];
+  const { data: steps, error } = await store.select(T.step, { id: stepIds });
+  if (error) { console.error('read steps error:', error.message); return null; }
+  tree.push([T.step, steps]);
+  for (const [table, col] of STEP_CHILDREN) {
+    const { data, error: e } = await store.select(table, { [col]: stepIds });
+    if (e) { console.error(`read ${table} error:`, e.message); return null; }
+    tree.push([table, data]);
+  }
+  const [up, down] = await Promise.all([
+    store.select(T.slink, { parent_step_id: stepIds }),
+    store.select(T.slink, { child_step_id: stepIds })
+  ]);
+  if (up.error || down.error) { console.error('read links error:', (up.error || down.error).message); return null; }
+  const links = new Map(up.data.concat(down.data).map(l => [l.id, l]));
+  tree.push([T.slink, [...links.values()]]);
+  return tree;
+}
+
+// Children first so nothing is left pointing at a missing row
+async function removeTree(tree) {
+  for (const [table, rows] of tree.slice().reverse()) {
+    if (!rows.length) continue;
+    const { error } = await store.remove(table, { id: rows.map(r => r.id) });
+    if (error) { console.error(`delete ${table} error:`, error.message); return false; }
+    if (ENTITY_NAME[table]) auditDelete(table, rows);
+  }
+  return true;
+}
+
+async function restoreTree(tree) {
+  for (const [table, rows] of tree) {
+    if (!rows.length) continue;
+    const { error } = await store.insert(table, rows);
+    if (error) { console.error(`restore ${table} error:`, error.message); return false; }
+    if (ENTITY_NAME[table]) auditInsert(table, rows);
+  }
+  return true;
+}
+
+async function trackedTreeDelete(desc, tree) {
+  if (!tree || !(await removeTree(tree))) return false;
+  record({ label: desc, undo: () => restoreTree(tree), redo: () => removeTree(tree) });
+  return true;
+}
+
+export async function createGroup(assemblyId, version, fields) {
+  return trackedInsert(`Add group ${fields.label}`, T.grp, { assembly_id: assemblyId, version, ...fields }, 'assembly_id');
+}
+
+export async function createStep(groupId, fields) {
+  return trackedInsert(`Add step ${fields.label}`, T.step, { group_id: groupId, type: 'step', ...fields }, 'group_id');
+}
+
+export async function createPart(stepId, fields) {
+  return trackedInsert(`Add part ${fields.pn}`, T.part, { step_id: stepId, qty: 1, ...fields }, 'step_id');
+}
+
+export async function createFastener(stepId, fields) {
+  return trackedInsert(`Add fastener ${fields.pn}`, T.fast, { step_id: stepId, qty: 1, ...fields }, 'step_id');
+}
+
+export async function deleteStep(stepId) {
+  if (!allowed('delete')) return false;
+  const tree = await readStepTree([stepId]);
+  return trackedTreeDelete(`Delete step ${tree?.[0][1][0]?.label || ''}`.trim(), tree);
+}
+
+// The group row goes first in restore order, then its steps and their children
+export async function deleteGroup(groupId) {
+  if (!allowed('delete')) return false;
+  const { data: groups, error } = await store.select(T.grp, { id: groupId });
+  if (error || !groups.length) return false;
+  const { data: steps, error: e } = await store.select(T.step, { group_id: groupId }, { columns: 'id' });
+  if (e) return false;
+  const tree = steps.length ? await readStepTree(steps.map(s => s.id)) : [];
+  if (!tree) return false;
+  return trackedTreeDelete(`Delete group ${groups[0].label}`, [[T.grp, groups], ...tree]);
+}
+
+// ============================================================
+// STEP LINKS — precedence edges, cycle-checked before every write
+// ============================================================
+
+// Both return { data } on success, { error } when refused (duplicate, cycle) or the
+// write fails, and { data: null, error: null } when the role doesn't allow edits.
+export async function createStepLink(assemblyId, parentId, childId) {
+  if (!allowed('edit')) return { data: null, error: null };
+  const { data: links, error } = await store.select(T.slink, { assembly_id: assemblyId });
+  if (error) return { error };
+  if (links.some(l => l.parent_step_id === parentId && l.child_step_id === childId)) return { error: { message: 'Those steps are already linked' } };
+  if (wouldCreateCycle(links, parentId, childId)) return { error: { message: 'That link would create a cycle' } };
+  const { data, error: e } = await store.insert(T.slink, [{ assembly_id: assemblyId, parent_step_id: parentId, child_step_id: childId }]);
+  if (e) return { error: e };
+  recordInsert('Link steps', T.slink, data[0]);
+  return { data: data[0] };
+}
+
+// Swap `dropped` for new links [[parent, child]] as one undoable step, refusing
+// pairs that would close a cycle with the links that stay
+async function replaceLinks(desc, assemblyId, links, dropped, pairs) {
+  if (!dropped.length && !pairs.length) return { data: [] };
+  const kept = links.filter(l => !dropped.includes(l));
+  for (const [p, c] of pairs) {
+    if (wouldCreateCycle(kept, p, c)) return { error: { message: 'That order would create a cycle with existing links' } };
+    kept.push({ parent_step_id: p, child_step_id: c });
+  }
+  if (!(await removeTree([[T.slink, dropped]]))) return { error: { message: 'Could not remove the old links' } };
+  let created = [];
+  if (pairs.length) {
+    const { data, error } = await store.insert(T.slink,
+      pairs.map(([p, c]) => ({ assembly_id: assemblyId, parent_step_id: p, child_step_id: c })));
+    if (error) { await restoreTree([[T.slink, dropped]]); return { error }; }
+    created = data;
+    auditInsert(T.slink, created);
+  }
+  record({
+    label: desc,
+    undo: async () => (await removeTree([[T.slink, created]])) && restoreTree([[T.slink, dropped]]),
+    redo: async () => (await removeTree([[T.slink, dropped]])) && restoreTree([[T.slink, created]])
+  });
+  return { data: created };
+}
+
+// Replace every link among `stepIds` with one chain in the given order
+export async function rechainSteps(assemblyId, stepIds) {
+  if (!allowed('edit')) return { data: null, error: null };
+  const { data: links, error } = await store.select(T.slink, { assembly_id: assemblyId });
+  if (error) return { error };
+  const inSet = new Set(stepIds);
+  const dropped = links.filter(l => inSet.has(l.parent_step_id) && inSet.has(l.child_step_id));
+  return replaceLinks(`Re-chain ${stepIds.length} steps`, assemblyId, links, dropped, chainPairs(stepIds));
+}
+
+// autoGenerateLinks for one group: its steps chained in sort order, plus the hand-off
+// from the previous group's last step and to the next group's first. Links inside
+// the group are replaced; existing links elsewhere stay.
+export async function relinkGroup(assemblyId, groupId, groups, steps) {
+  if (!allowed('edit')) return { data: null, error: null };
+  const { data: links, error } = await store.select(T.slink, { assembly_id: assemblyId });
+  if (error) return { error };
+  const inGroup = new Set(steps.filter(s => s.group_id === groupId).map(s => s.id));
+  const touches = l => inGroup.has(l.parent_step_id) || inGroup.has(l.child_step_id);
+  const dropped = links.filter(l => inGroup.has(l.parent_step_id) && inGroup.has(l.child_step_id));
+  const kept = links.filter(l => !dropped.includes(l));
+  const pairs = autoGenerateLinks(assemblyId, groups, steps, [])
+    .filter(l => touches(l) && !kept.some(k => k.parent_step_id === l.parent_step_id && k.child_step_id === l.child_step_id))
+    .map(l => [l.parent_step_id, l.child_step_id]);
+  const grp = groups.find(g => g.id === groupId);
+  return replaceLinks(`Re-link group ${grp?.label || groupId}`, assemblyId, links, dropped, pairs);
+}
+
+// Validator fixes: dangling and duplicate links, one undo entry for the batch
+export async function deleteStepLinks(linkIds, desc) {
+  if (!allowed('delete') || !linkIds.length) return false;
+  const { data, error } = await store.select(T.slink, { id: linkIds });
+  if (error) { console.error('read links error:', error.message); return false; }
+  return trackedTreeDelete(desc, [[T.slink, data]]);
+}
+
+export async function deleteStepLink(linkId) {
+  return trackedDelete('Delete link', T.slink, linkId);
 }
 
 // ============================================================
@@ -131,9 +682,8 @@ export async function deleteFastener(fastId) {
 // ============================================================
 
 export async function updateLabelPosition(stepId, t) {
-  const { error } = await db.from(T.step).update({ label_position: t }).eq('id', stepId);
-  if (error) console.error('updateLabelPosition error:', error.message);
-  return !error;
+  if (!allowed('edit')) return false;
+  return directUpdate(T.step, stepId, { label_position: t }, 'updateLabelPosition');
 }
 
 // ============================================================
@@ -141,15 +691,51 @@ export async function updateLabelPosition(stepId, t) {
 // ============================================================
 
 export async function updateStepPN(stepId, pn) {
-  const { error } = await db.from(T.step).update({ pn: pn || null }).eq('id', stepId);
-  if (error) console.error('updateStepPN error:', error.message);
-  return !error;
+  return trackedUpdate(pn ? `Set step P/N ${pn}` : 'Clear step P/N', T.step, stepId, { pn: pn || null },
+    p => directUpdate(T.step, stepId, p, 'updateStepPN'));
 }
 
 export async function updateStepLabel(stepId, label) {
-  const { error } = await db.from(T.step).update({ label: label }).eq('id', stepId);
-  if (error) console.error('updateStepLabel error:', error.message);
-  return !error;
+  return trackedUpdate(`Rename step → ${label}`, T.step, stepId, { label: label },
+    p => directUpdate(T.step, stepId, p, 'updateStepLabel'));
+}
+
+// ============================================================
+// STEP TIMING — standard time (minutes) + headcount
+// ============================================================
+
+export async function updateStepTiming(stepId, { std_time, headcount }) {
+  const patch = { std_time: std_time ?? null, headcount: headcount ?? null };
+  return trackedUpdate(patch.std_time !== null ? `Set time ${patch.std_time} min` : 'Clear time', T.step, stepId, patch,
+    p => queuedUpdate(T.step, stepId, p, 'updateStepTiming'));
+}
+
+// ============================================================
+// TORQUE SPECS — one table for every assembly (fasteners.js), so
+// edits skip the per-assembly undo history. Migration 16.
+// ============================================================
+
+export async function loadTorqueSpecs() {
+  const { data, error } = await store.select(T.torqueSpecs, {}, { order: 'family' });
+  if (error) { console.warn('loadTorqueSpecs:', error.message); return []; }
+  return data || [];
+}
+
+// Insert when the spec has no id; resolves the saved row or null
+export async function saveTorqueSpec(spec) {
+  if (!allowed('edit')) return null;
+  const { id, ...fields } = spec;
+  const row = { ...fields, updated_at: new Date().toISOString() };
+  const { data, error } = id ? await store.update(T.torqueSpecs, { id }, row) : await store.insert(T.torqueSpecs, [row]);
+  if (error) { showToast(/unique|duplicate/i.test(error.message) ? 'A spec for that family, size and material already exists' : error.message, 'error'); return null; }
+  return data?.[0] || null;
+}
+
+export async function deleteTorqueSpec(id) {
+  if (!allowed('delete')) return false;
+  const { error } = await store.remove(T.torqueSpecs, { id });
+  if (error) { showToast(error.message, 'error'); return false; }
+  return true;
 }
 
 // ============================================================
@@ -157,19 +743,36 @@ export async function updateStepLabel(stepId, label) {
 // ============================================================
 
 export async function updateStepEcnStatus(stepId, status) {
-  const { error } = await db.from(T.step).update({ ecn_status: status || null }).eq('id', stepId);
-  if (error) console.error('updateStepEcnStatus error:', error.message);
-  return !error;
+  return trackedUpdate(status ? `ECN ${status}` : 'ECN cleared', T.step, stepId, { ecn_status: status || null },
+    p => queuedUpdate(T.step, stepId, p, 'updateStepEcnStatus'));
 }
 
 export async function clearAllEcnStatus(assemblyId, groupIds) {
-  if (!groupIds || !groupIds.length) return false;
+  if (!groupIds || !groupIds.length || !allowed('createEcn')) return false;
   // Get all step IDs for this assembly's groups
-  const { data: steps } = await db.from(T.step).select('id').in('group_id', groupIds);
+  const { data: steps } = await store.select(T.step, { group_id: groupIds }, { columns: 'id,ecn_status' });
   if (!steps || !steps.length) return false;
   const ids = steps.map(s => s.id);
-  const { error } = await db.from(T.step).update({ ecn_status: null }).in('id', ids);
+  const { error } = await store.update(T.step, { id: ids }, { ecn_status: null });
   if (error) console.error('clearAllEcnStatus error:', error.message);
+  const marked = steps.filter(s => s.ecn_status);
+  if (!error && marked.length) {
+    const auditCleared = () => marked.forEach(s => auditUpdate(T.step, s.id, s, { ecn_status: null }));
+    auditCleared();
+    record({
+      label: `Clear ECN (${marked.length} steps)`,
+      undo: async () => {
+        const done = (await Promise.all(marked.map(s => directUpdate(T.step, s.id, { ecn_status: s.ecn_status }, 'clearAllEcnStatus')))).every(Boolean);
+        if (done) marked.forEach(s => auditUpdate(T.step, s.id, { ecn_status: null }, { ecn_status: s.ecn_status }));
+        return done;
+      },
+      redo: async () => {
+        const { error: e } = await store.update(T.step, { id: marked.map(s => s.id) }, { ecn_status: null });
+        if (!e) auditCleared();
+        return !e;
+      }
+    });
+  }
   return !error;
 }
 
@@ -178,10 +781,10 @@ export async function clearAllEcnStatus(assemblyId, groupIds) {
 // ============================================================
 
 export async function savePositions(posMap) {
+  if (!allowed('unlockLayout')) return 0;
   let count = 0;
   for (const [id, { x, y }] of Object.entries(posMap)) {
-    const { error } = await db.from(T.step).update({ x, y }).eq('id', id);
-    if (!error) count++;
+    if (await queuedUpdate(T.step, Number(id), { x, y }, 'savePositions')) count++;
   }
   return count;
 }
@@ -217,6 +820,30 @@ export function autoGenerateLinks(assemblyId, groups, steps, existingLinks) {
 
 export async function bulkCreateStepLinks(links) {
   if (!links.length) return;
-  const { error } = await db.from(T.slink).insert(links);
+  const { error } = await store.createLinks(links);
   if (error) throw error;
 }
+
+// ============================================================
+// LIVE CHANGES — other clients' edits (live.js applies them)
+// ============================================================
+
+const LIVE_TABLES = [T.grp, T.step, T.part, T.fast, T.slink];
+const ACTOR_WAIT = 400;   // audit rows land just after the write they describe
+
+// onChange({ table, type, row, old, by }). `by` comes from the row's updated_by, or
+// for moves and deletes from the audit row written alongside the change.
+export function watchChanges(onChange) {
+  const actors = new Map();   // `${table}:${id}` → actor of its latest audit row
+  const tableOf = Object.fromEntries(Object.entries(ENTITY_NAME).map(([t, e]) => [e, t]));
+  return store.subscribe([...LIVE_TABLES, T.audit], change => {
+    if (change.table === T.audit) {
+      const a = change.row;
+      if (a && tableOf[a.entity]) actors.set(`${tableOf[a.entity]}:${a.entity_id}`, a.actor);
+      return;
+    }
+    if (change.row && 'updated_at' in change.row) remember(change.table, [change.row]);
+    const id = (change.row || change.old)?.id;
+    setTimeout(() => onChange({ ...change, by: change.by || actors.get(`${change.table}:${id}`) || null }), change.by ? 0 : ACTOR_WAIT);
+  });
+}
@@ -0,0 +1,167 @@
+// ============================================================
+// Eagle Eye Tree - Fastener Specs (v3.30)
+// Fastener P/Ns encode family, thread size and length (CBE6-30 →
+// CBE, M6, 30 mm; an optional suffix such as -SUS names the
+// material). Torque specs are kept per family + size + material in
+// one shared table (migration 16): fastener forms pre-fill from it
+// and a torque outside the spec's tolerance is flagged in the
+// detail panel and the tree lint. Spec torques are N·m; torque.js
+// converts for display, in the unit picked next to the 🔩 button.
+// ============================================================
+
+import * as state from './state.js';
+import { loadTorqueSpecs, saveTorqueSpec, deleteTorqueSpec } from './database.js';
+import { showToast, esc } from './ui.js';
+import { torqueNm, fromNm, DISPLAY_UNITS, displayUnit, setDisplayUnit } from './torque.js';
+
+const PN_FORMAT = /^([A-Z]+)(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)(?:-?([A-Z][A-Z0-9]*))?$/i;
+const DEFAULT_MATERIAL = 'steel';
+const DEFAULT_TOLERANCE = 10;   // ± % when a spec doesn't set one
+// P/N suffix → material; any other suffix (finish, pack size) leaves steel
+const MATERIAL_SUFFIX = { SUS: 'stainless', A2: 'stainless', A4: 'stainless', TI: 'titanium', AL: 'aluminium' };
+
+let specs = [];
+
+// 'CBE6-30' → { family: 'CBE', size: 6, length: 30, material: 'steel' }; null when the P/N isn't in that form
+export function parseFastenerPn(pn) {
+  const m = String(pn || '').trim().match(PN_FORMAT);
+  if (!m) return null;
+  const suffix = m[4] ? m[4].toUpperCase() : null;
+  return { family: m[1].toUpperCase(), size: parseFloat(m[2]), length: parseFloat(m[3]), material: MATERIAL_SUFFIX[suffix] || DEFAULT_MATERIAL };
+}
+
+export async function loadSpecs() {
+  specs = await loadTorqueSpecs();
+  return specs;
+}
+
+// The spec for a P/N: same family + size, the P/N's material first, then a material-blank spec
+export function specFor(pn) {
+  const p = parseFastenerPn(pn);
+  if (!p) return null;
+  const hits = specs.filter(s => String(s.family).toUpperCase() === p.family && Number(s.size) === p.size);
+  return hits.find(s => s.material === p.material) || hits.find(s => !s.material) || null;
+}
+
+// Pre-fill value for a fastener form, in the display unit ('' when there's no spec)
+export const specTorque = pn => { const s = specFor(pn); return s ? fromNm(s.torque_nm) : ''; };
+
+// { spec, actual, deviation (fraction) } when the entered torque is outside the spec's tolerance, else null.
+// A blank torque isn't a deviation — the lint lists it as missing.
+export function torqueDeviation(fast) {
+  const spec = specFor(fast.pn);
+  const actual = torqueNm(fast.torque);
+  if (!spec || actual === null) return null;
+  const deviation = (actual - spec.torque_nm) / spec.torque_nm;
+  const tol = (spec.tolerance_pct ?? DEFAULT_TOLERANCE) / 100;
+  return Math.abs(deviation) > tol + 1e-9 ? { spec, actual, deviation } : null;
+}
+
+export const deviationText = d => `spec ${fromNm(d.spec.torque_nm)} ±${d.spec.tolerance_pct ?? DEFAULT_TOLERANCE}% (${d.deviation > 0 ? '+' : ''}${Math.round(d.deviation * 100)}%)`;
+
+// ============================================================
+// SPEC TABLE DIALOG
+// ============================================================
+
+export function buildTorqueSpecControls() {
+  const status = document.getElementById('statusText');
+  if (!status || document.getElementById('torqueSpecBtn')) return;
+  const btn = document.createElement('button');
+  btn.className = 'tool-btn';
+  btn.id = 'torqueSpecBtn';
+  btn.title = 'Torque specs by fastener family, size and material';
+  btn.textContent = '🔩 Torque specs';
+  status.before(btn);
+  btn.addEventListener('click', openSpecTable);
+
+  // Unit system for every torque shown (stored values keep the unit they were entered in)
+  const unit = document.createElement('select');
+  unit.className = 'tool-btn';
+  unit.id = 'torqueUnitSelect';
+  unit.title = 'Torque display unit';
+  unit.innerHTML = DISPLAY_UNITS.map(u => `<option value="${u}"${u === displayUnit() ? ' selected' : ''}>${u}</option>`).join('');
+  status.before(unit);
+  unit.addEventListener('change', () => {
+    setDisplayUnit(unit.value);
+    window._eagleEyeRefreshView?.();
+    window._eagleEyeUpdateDetail?.();
+  });
+}
+
+// Family + size + material combos used in the open assembly with no spec yet
+function unspecified() {
+  const seen = new Map();
+  state.fasts.forEach(f => {
+    const p = parseFastenerPn(f.pn);
+    if (!p || specFor(f.pn)) return;
+    const key = `${p.family}|${p.size}|${p.material}`;
+    seen.set(key, { ...p, count: (seen.get(key)?.count || 0) + (f.qty || 1) });
+  });
+  return [...seen.values()].sort((a, b) => a.family.localeCompare(b.family) || a.size - b.size);
+}
+
+function rowHtml(s) {
+  return `<tr data-spec="${s.id || ''}"><td><input class="ef-input" data-f="family" value="${esc(s.family)}" placeholder="CBE"></td>` +
+    `<td><input class="ef-input ef-sm" type="number" data-f="size" value="${esc(s.size)}" min="0" step="0.5" placeholder="6"></td>` +
+    `<td><input class="ef-input" data-f="material" value="${esc(s.material)}" placeholder="any"></td>` +
+    `<td><input class="ef-input ef-sm" type="number" data-f="torque_nm" value="${esc(s.torque_nm)}" min="0" step="0.1"></td>` +
+    `<td><input class="ef-input ef-sm" type="number" data-f="tolerance_pct" value="${esc(s.tolerance_pct ?? DEFAULT_TOLERANCE)}" min="0" step="1"></td>` +
+    `<td><input class="ef-input" data-f="notes" value="${esc(s.notes)}"></td>` +
+    '<td class="ts-actions"><button class="history-btn" data-ts="save">Save</button>' +
+    (s.id ? '<button class="history-btn" data-ts="delete" title="Delete spec">🗑️</button>' : '') + '</td></tr>';
+}
+
+function openSpecTable() {
+  document.getElementById('torqueSpecOverlay')?.remove();
+  const overlay = document.createElement('div');
+  overlay.id = 'torqueSpecOverlay';
+  overlay.className = 'modal-overlay';
+  document.body.appendChild(overlay);
+
+  const render = draft => {
+    const missing = unspecified();
+    overlay.innerHTML = '<div class="modal kit-modal ts-modal">' +
+      '<div class="spacing-panel-header"><span>🔩 Torque specs</span><button class="spacing-close" data-ts="close">×</button></div>' +
+      '<div class="kit-body"><table class="kit-table"><tr><th>Family</th><th>Size (M)</th><th>Material</th><th>Torque (N·m)</th><th>± %</th><th>Notes</th><th></th></tr>' +
+      specs.map(rowHtml).join('') + (draft ? rowHtml(draft) : '') + '</table>' +
+      '<button class="add-btn" data-ts="add">+ Spec</button>' +
+      (missing.length ? '<div class="kit-sub">Used in this assembly without a spec</div>' + missing.map((m, i) =>
+        `<div class="lc-row"><span><span class="kit-pn">${esc(m.family)} M${m.size}</span> ${esc(m.material)} · ${m.count} pcs</span>` +
+        `<button class="history-btn" data-missing="${i}">+ Spec</button></div>`).join('') : '') +
+      '</div></div>';
+
+    overlay.querySelector('[data-ts="close"]').addEventListener('click', () => overlay.remove());
+    overlay.querySelector('[data-ts="add"]').addEventListener('click', () => render({ family: '', size: '', material: DEFAULT_MATERIAL, torque_nm: '' }));
+    overlay.querySelectorAll('[data-missing]').forEach(b => b.addEventListener('click', () => {
+      const m = missing[b.dataset.missing];
+      render({ family: m.family, size: m.size, material: m.material, torque_nm: '' });
+    }));
+    overlay.querySelectorAll('tr[data-spec]').forEach(tr => {
+      const id = tr.dataset.spec ? Number(tr.dataset.spec) : null;
+      tr.querySelector('[data-ts="save"]').addEventListener('click', async () => {
+        const val = f => tr.querySelector(`[data-f="${f}"]`).value.trim();
+        const spec = { family: val('family').toUpperCase(), size: parseFloat(val('size')), material: val('material').toLowerCase(),
+          torque_nm: parseFloat(val('torque_nm')), tolerance_pct: val('tolerance_pct') === '' ? DEFAULT_TOLERANCE : parseFloat(val('tolerance_pct')), notes: val('notes') || null };
+        if (!spec.family || !(spec.size > 0)) { showToast('Family and size are required', 'error'); return; }
+        if (!(spec.torque_nm > 0)) { showToast('Torque must be more than 0 N·m', 'error'); return; }
+        if (!(spec.tolerance_pct >= 0)) { showToast('Tolerance must be 0 % or more', 'error'); return; }
+        if (!(await saveTorqueSpec(id ? { id, ...spec } : spec))) return;
+        await loadSpecs();
+        render(null);
+        showToast(`Spec saved: ${spec.family} M${spec.size}`);
+        window._eagleEyeRefreshView?.();
+        window._eagleEyeUpdateDetail?.();
+      });
+      tr.querySelector('[data-ts="delete"]')?.addEventListener('click', async () => {
+        if (!confirm('Delete this torque spec?') || !(await deleteTorqueSpec(id))) return;
+        await loadSpecs();
+        render(null);
+        window._eagleEyeRefreshView?.();
+        window._eagleEyeUpdateDetail?.();
+      });
+    });
+  };
+  overlay.addEventListener('click', e => { if (e.target === overlay) overlay.remove(); });
+  overlay.addEventListener('keydown', e => { if (e.key === 'Escape') overlay.remove(); });
+  render(null);
+}
@@ -1,7 +1,13 @@
 // ============================================================
-// Eagle Eye Tree - Graph Module (v3.4)
+// Eagle Eye Tree - Graph Module (v3.30)
 // Drag-proof: all links, labels, parts follow nodes
 // Click-to-edit: parts + fasteners editable from graph
+// Right-click: add/delete steps, groups, parts, fasteners
+// Step links: drag port → step to link, click + Del to remove, shift+click → re-chain
+// Flow mode: the step-link precedence network instead of swimlanes
+// Critical path: zero-slack steps + links in red once steps have standard times
+// Balance mode: one lane per workstation, drag a step across lanes to re-assign
+// Torque specs: off-spec torques flagged on fastener labels, graph edit pre-fills from spec
 // ============================================================
 
 import * as state from './state.js';
@@ -11,8 +17,14 @@ import {
   getFastenerColor, darkenColor, lightenColor,
   ECN_COLORS, ECN_ICONS, STATUS_COLORS, PART_NODE_WIDTH, PART_NODE_HEIGHT
 } from './config.js';
-import { savePositions, updateSeqTag, updatePart, updateFastener, updateLabelPosition, updateStepEcnStatus, updateStepPN, updateStepLabel } from './database.js';
+import { savePositions, updateSeqTag, updatePart, updateFastener, updateLabelPosition, updateStepEcnStatus, updateStepPN, updateStepLabel, lookupMasterParts, createStepLink, deleteStepLink, rechainSteps } from './database.js';
 import { showToast } from './ui.js';
+import { layerSteps, linksWithin, topoOrder } from './links.js';
+import { currentPlan, balanceReport, moveStepToStation, renderBalancePanel } from './balance.js';
+import { openKitReport } from './kitting.js';
+import { specTorque, torqueDeviation, deviationText } from './fasteners.js';
+import { formatTorque, normalizeTorque, displayUnit } from './torque.js';
+import { promptAddGroup, promptAddStep, promptAddPart, promptAddFastener, confirmDeleteStep, confirmDeleteGroup } from './views.js';
 
 var zoomBehavior = null;
 var currentTransform = d3.zoomIdentity;
@@ -20,6 +32,11 @@ var currentTransform = d3.zoomIdentity;
 // The single source of truth for node positions during drag
 var _allNodes = [];
 
+// Critical path of the last render (null until some step has a standard time)
+var _timing = null;
+var CRITICAL = '#e11d48';
+function round1(m) { return Math.round(m * 10) / 10; }
+
 // ── SHAPES ──
 function shapePath(type, w, h) {
   var hw = w / 2, hh = h / 2;
@@ -107,24 +124,8 @@ function calculateTreeLayout() {
     var swimStartY = curY;
 
     gSteps.forEach(function(step, si) {
-      var x = stepColX;
       var y = (step.y != null) ? step.y : (swimStartY + swimPadY + si * stepGapY);
-      allNodes.push({
-        id: 's_' + step.id, dbId: step.id, x: x, y: y, w: NODE_WIDTH, h: NODE_HEIGHT,
-        label: step.label, type: step.type || 'step',
-        stepPN: step.pn || null,
-        level: gi, shape: getLevelShape(gi),
-        color: grp.color || getLevelColor(gi),
-        groupId: grp.id, groupLabel: grp.label,
-        seq: si + 1, seqTag: step.seq_tag || null,
-        isStep: true, isGroup: false, isRoot: false,
-        ecn: state.ecnChanges[step.id] || null,
-        isEcnAffected: ecnAffected.has(step.id),
-        isSelected: state.selectedStepId === step.id,
-        partCount: state.parts.filter(function(p) { return p.step_id === step.id; }).length,
-        fastCount: fasts.filter(function(f) { return f.step_id === step.id; }).length,
-        swimIdx: gi
-      });
+      allNodes.push(stepNodeData(step, grp, gi, si, stepColX, y, ecnAffected));
     });
 
     var stepYs = gSteps.map(function(s) { var sn = allNodes.find(function(n) { return n.id === 's_' + s.id; }); return sn ? sn.y : 0; });
@@ -174,10 +175,181 @@ function calculateTreeLayout() {
 
   return { nodes: allNodes, links: allLinks, swimlanes: swimlanes,
     sortedGroups: filteredGroups, stepColX: stepColX, groupColX: groupColX, rootColX: rootColX,
+    headers: [[stepColX, 'Steps', '#475569'], [groupColX, 'Groups', '#475569'], [rootColX, 'Assembly', '#f59e0b']],
+    maxX: rootColX + 250,
     dimensions: { width: rootColX + 250, height: curY + 50 },
     settings: { topPad: topPad, headerH: headerH, partZone: partZone } };
 }
 
+// Node record for one step — shared by both layouts
+function stepNodeData(step, grp, gi, si, x, y, ecnAffected) {
+  return {
+    id: 's_' + step.id, dbId: step.id, x: x, y: y, w: NODE_WIDTH, h: NODE_HEIGHT,
+    label: step.label, type: step.type || 'step',
+    stepPN: step.pn || null,
+    stdTime: step.std_time || 0, headcount: step.headcount || 1,
+    level: gi, shape: getLevelShape(gi),
+    color: grp.color || getLevelColor(gi),
+    groupId: grp.id, groupLabel: grp.label,
+    seq: si + 1, seqTag: step.seq_tag || null,
+    isStep: true, isGroup: false, isRoot: false,
+    ecn: state.ecnChanges[step.id] || null,
+    isEcnAffected: ecnAffected.has(step.id),
+    isSelected: state.selectedStepId === step.id,
+    partCount: state.parts.filter(function(p) { return p.step_id === step.id; }).length,
+    fastCount: state.fasts.filter(function(f) { return f.step_id === step.id; }).length,
+    swimIdx: gi
+  };
+}
+
+// ============================================================
+// FLOW LAYOUT — the precedence network from stepLinks, layered
+// left → right (longest path), parallel branches stacked in a
+// column. Same node records as the swimlane layout, no group/root
+// nodes; the edges are drawn by the step-link overlay.
+// ============================================================
+
+function calculateFlowLayout() {
+  var groups = state.groups, steps = state.steps;
+  if (!groups.length || !steps.length) return null;
+
+  var sortedGroups = groups.slice().sort(function(a, b) { return (a.sort_order || 0) - (b.sort_order || 0); });
+  var filteredGroups = state.visibleGroupIds
+    ? sortedGroups.filter(function(g) { return state.visibleGroupIds.has(g.id); })
+    : sortedGroups;
+  if (!filteredGroups.length) return null;
+
+  var topPad = 80, headerH = 40;
+  var colGap = NODE_WIDTH + (state.showPartNodes ? PART_NODE_WIDTH + 60 : 0) + 90;
+  var firstColX = (state.showPartNodes ? PART_NODE_WIDTH + 60 : 0) + NODE_WIDTH / 2 + 40;
+  var ecnAffected = state.getEcnAffectedSteps();
+
+  // Group order, then step order: the starting order inside each column
+  var ordered = [];
+  filteredGroups.forEach(function(grp, gi) {
+    steps.filter(function(s) { return s.group_id === grp.id; })
+      .sort(function(a, b) { return (a.sort_order || 0) - (b.sort_order || 0); })
+      .forEach(function(step, si) { ordered.push({ step: step, grp: grp, gi: gi, si: si }); });
+  });
+  var ids = ordered.map(function(o) { return o.step.id; });
+  var layerOf = layerSteps(ids, state.stepLinks);
+  var within = linksWithin(ids, state.stepLinks);
+
+  var columns = [];
+  ordered.forEach(function(o) {
+    var li = layerOf.get(o.step.id);
+    (columns[li] = columns[li] || []).push(o);
+  });
+
+  // One barycenter sweep: sit each step level with the average slot of its parents
+  var slot = new Map();
+  columns.forEach(function(col, li) {
+    if (li > 0) {
+      var bary = new Map(col.map(function(o, i) {
+        var ps = within.filter(function(l) { return l.child_step_id === o.step.id && slot.has(l.parent_step_id); })
+          .map(function(l) { return slot.get(l.parent_step_id); });
+        return [o.step.id, ps.length ? ps.reduce(function(a, b) { return a + b; }, 0) / ps.length : i];
+      }));
+      col.sort(function(a, b) { return bary.get(a.step.id) - bary.get(b.step.id); });
+    }
+    col.forEach(function(o, i) { slot.set(o.step.id, i); });
+  });
+
+  var slotH = function(o) { return slotHeight(o.step.id); };
+  var heights = columns.map(function(col) { return col.reduce(function(h, o) { return h + slotH(o); }, 0); });
+  var tallest = Math.max.apply(null, heights.concat(VERTICAL_GAP));
+  var nodes = [], headers = [];
+  columns.forEach(function(col, li) {
+    var x = firstColX + li * colGap;
+    var y = topPad + headerH + (tallest - heights[li]) / 2;
+    col.forEach(function(o) {
+      var h = slotH(o);
+      nodes.push(stepNodeData(o.step, o.grp, o.gi, o.si, x, y + h / 2, ecnAffected));
+      y += h;
+    });
+    headers.push([x, 'Stage ' + (li + 1), '#475569']);
+  });
+
+  var maxX = firstColX + (columns.length - 1) * colGap + NODE_WIDTH / 2 + 80;
+  return { nodes: nodes, links: [], swimlanes: [], sortedGroups: filteredGroups,
+    headers: headers, maxX: maxX,
+    dimensions: { width: maxX, height: topPad + headerH + tallest + 50 },
+    settings: { topPad: topPad, headerH: headerH } };
+}
+
+// Taller slots for steps with a stack of part hexagons
+function slotHeight(stepId) {
+  var np = state.parts.filter(function(p) { return p.step_id === stepId; }).length;
+  return Math.max(VERTICAL_GAP, state.showPartNodes ? np * 28 + 16 : 0);
+}
+
+// ============================================================
+// BALANCE LAYOUT — one column per workstation from the line
+// balance plan (balance.js), steps stacked in precedence order,
+// plus an Unassigned column for steps added since. Every step is
+// shown whatever the group filter: station loads count them all.
+// ============================================================
+
+function calculateBalanceLayout() {
+  var plan = currentPlan();
+  var report = balanceReport();
+  if (!plan || !report || !state.steps.length) return null;
+
+  var sortedGroups = state.groups.slice().sort(function(a, b) { return (a.sort_order || 0) - (b.sort_order || 0); });
+  var topPad = 80, headerH = 56;
+  var colGap = NODE_WIDTH + (state.showPartNodes ? PART_NODE_WIDTH + 60 : 0) + 70;
+  var firstColX = (state.showPartNodes ? PART_NODE_WIDTH + 60 : 0) + NODE_WIDTH / 2 + 40;
+  var ecnAffected = state.getEcnAffectedSteps();
+
+  var ordered = [];
+  sortedGroups.forEach(function(grp, gi) {
+    state.steps.filter(function(s) { return s.group_id === grp.id; })
+      .sort(function(a, b) { return (a.sort_order || 0) - (b.sort_order || 0); })
+      .forEach(function(step, si) { ordered.push({ step: step, grp: grp, gi: gi, si: si }); });
+  });
+  var topo = topoOrder(ordered.map(function(o) { return o.step.id; }), state.stepLinks);
+  var rank = new Map(topo.order.concat(topo.cyclic).map(function(id, i) { return [id, i]; }));
+  ordered.sort(function(a, b) { return rank.get(a.step.id) - rank.get(b.step.id); });
+
+  var columns = Array.from({ length: plan.stations + (report.unassigned.length ? 1 : 0) }, function() { return []; });
+  ordered.forEach(function(o) {
+    var st = report.assign.has(o.step.id) ? report.assign.get(o.step.id) : plan.stations;
+    columns[st].push(o);
+  });
+
+  var heights = columns.map(function(col) { return col.reduce(function(h, o) { return h + slotHeight(o.step.id); }, 0); });
+  var tallest = Math.max.apply(null, heights.concat(VERTICAL_GAP));
+  var nodes = [], headers = [], lanes = [];
+  columns.forEach(function(col, ci) {
+    var x = firstColX + ci * colGap;
+    var y = topPad + headerH;
+    col.forEach(function(o) {
+      var h = slotHeight(o.step.id);
+      var nd = stepNodeData(o.step, o.grp, o.gi, o.si, x, y + h / 2, ecnAffected);
+      nd.station = ci < plan.stations ? ci : null;
+      nodes.push(nd);
+      y += h;
+    });
+    var isStation = ci < plan.stations;
+    headers.push([x, isStation ? 'Station ' + (ci + 1) : 'Unassigned', isStation && report.over[ci] ? '#dc2626' : '#475569']);
+    lanes.push({ x: x - colGap / 2 + 6, w: colGap - 12, station: isStation ? ci : null,
+      load: isStation ? report.loads[ci] : 0, over: isStation && report.over[ci] });
+  });
+
+  var maxX = firstColX + (columns.length - 1) * colGap + NODE_WIDTH / 2 + 80;
+  return { nodes: nodes, links: [], swimlanes: [], sortedGroups: sortedGroups,
+    headers: headers, maxX: maxX,
+    lanes: lanes, takt: plan.takt, firstColX: firstColX, colGap: colGap,
+    dimensions: { width: maxX, height: topPad + headerH + tallest + 50 },
+    settings: { topPad: topPad, headerH: headerH } };
+}
+
+// Lane under graph x in balance mode: station index, or null for Unassigned
+function laneAt(layout, x) {
+  var i = Math.round((x - layout.firstColX) / layout.colGap);
+  return layout.lanes[Math.max(0, Math.min(layout.lanes.length - 1, i))].station;
+}
+
 // ============================================================
 // RENDER
 // ============================================================
@@ -195,19 +367,22 @@ export function renderGraph() {
 
   var W = container.clientWidth, H = container.clientHeight;
   svg.attr('width', W).attr('height', H);
-  var layout = calculateTreeLayout();
+  var balance = state.graphMode === 'balance' && currentPlan();
+  var flow = state.graphMode === 'flow' || !!balance;   // computed layout: no saved positions, links always on
+  var layout = balance ? calculateBalanceLayout() : flow ? calculateFlowLayout() : calculateTreeLayout();
   if (!layout) return;
   var nodes = layout.nodes, links = layout.links, swimlanes = layout.swimlanes;
   var sortedGroups = layout.sortedGroups;
-  var stepColX = layout.stepColX, groupColX = layout.groupColX, rootColX = layout.rootColX;
   var settings = layout.settings;
 
   // Store as module-level for drag
   _allNodes = nodes;
+  _timing = state.getTiming();
+  if (!_timing.timed) _timing = null;
 
   // Defs
   var defs = svg.append('defs');
-  ['#888','#3498db','#9b59b6','#27ae60','#e67e22','#e74c3c','#f59e0b','#555','#94a3b8','#475569'].forEach(function(c) {
+  ['#888','#3498db','#9b59b6','#27ae60','#e67e22','#e74c3c','#f59e0b','#555','#94a3b8','#475569','#2563eb','#dc2626',CRITICAL].forEach(function(c) {
     defs.append('marker').attr('id', 'a' + c.replace('#', '')).attr('viewBox', '0 0 10 10')
       .attr('refX', 9).attr('refY', 5).attr('orient', 'auto').attr('markerWidth', 5).attr('markerHeight', 5)
       .append('path').attr('d', 'M 0,1 L 8,5 L 0,9 z').attr('fill', c);
@@ -217,10 +392,11 @@ export function renderGraph() {
   zoomBehavior = d3.zoom().scaleExtent([0.05, 4]).on('zoom', function(e) { currentTransform = e.transform; g.attr('transform', e.transform); });
   svg.call(zoomBehavior);
 
+  // Flow positions are computed, never saved over the swimlane ones
   window._eagleEyePositions = {};
-  window._eagleEyeBounds = { maxX: rootColX + 250, minY: Infinity, maxY: -Infinity };
+  window._eagleEyeBounds = { maxX: layout.maxX, minY: Infinity, maxY: -Infinity };
   nodes.filter(function(n) { return n.isStep; }).forEach(function(n) {
-    window._eagleEyePositions[n.dbId] = { x: n.x, y: n.y };
+    if (!flow) window._eagleEyePositions[n.dbId] = { x: n.x, y: n.y };
     window._eagleEyeBounds.minY = Math.min(window._eagleEyeBounds.minY, n.y - 40);
     window._eagleEyeBounds.maxY = Math.max(window._eagleEyeBounds.maxY, n.y + 40);
   });
@@ -229,7 +405,7 @@ export function renderGraph() {
   var swimBg = g.append('g');
   swimlanes.forEach(function(sl, si) {
     swimBg.append('rect').attr('x', 0).attr('y', sl.startY)
-      .attr('width', rootColX + 250).attr('height', sl.height).attr('fill', si % 2 === 0 ? '#f8f9fa' : '#f1f3f5');
+      .attr('width', layout.maxX).attr('height', sl.height).attr('fill', si % 2 === 0 ? '#f8f9fa' : '#f1f3f5');
     swimBg.append('rect').attr('x', 0).attr('y', sl.startY)
       .attr('width', 5).attr('height', sl.height).attr('fill', sl.color);
     swimBg.append('text').attr('x', 14).attr('y', sl.startY + 16)
@@ -237,9 +413,25 @@ export function renderGraph() {
       .text((sl.icon || '') + ' L' + (sl.gi + 1) + ' ' + sl.label + '  (' + sl.stepCount + ')');
   });
 
+  // ── STATION LANES — load bar against the takt under each header ──
+  (layout.lanes || []).forEach(function(ln, i) {
+    swimBg.append('rect').attr('class', 'station-lane').attr('data-lane', i)
+      .attr('x', ln.x).attr('y', settings.topPad - 10).attr('width', ln.w).attr('height', layout.dimensions.height - settings.topPad)
+      .attr('rx', 6).attr('fill', ln.over ? '#fef2f2' : i % 2 === 0 ? '#f8f9fa' : '#f1f3f5')
+      .attr('stroke', ln.station === null ? '#cbd5e1' : 'none').attr('stroke-dasharray', '4,3');
+    if (ln.station === null) return;
+    var bw = ln.w - 24, fill = Math.min(1, layout.takt ? ln.load / layout.takt : 0);
+    swimBg.append('rect').attr('x', ln.x + 12).attr('y', settings.topPad + 28).attr('width', bw).attr('height', 6).attr('rx', 3).attr('fill', '#e2e8f0');
+    swimBg.append('rect').attr('x', ln.x + 12).attr('y', settings.topPad + 28).attr('width', bw * fill).attr('height', 6).attr('rx', 3)
+      .attr('fill', ln.over ? '#dc2626' : '#10b981');
+    swimBg.append('text').attr('x', ln.x + ln.w / 2).attr('y', settings.topPad + 46).attr('text-anchor', 'middle')
+      .attr('font-size', '9px').attr('font-weight', '700').attr('fill', ln.over ? '#dc2626' : '#475569')
+      .text(round1(ln.load) + ' / ' + round1(layout.takt) + ' min');
+  });
+
   // ── COLUMN HEADERS ──
   if (state.showLevelHeaders) {
-    [[stepColX,'Steps','#475569'],[groupColX,'Groups','#475569'],[rootColX,'Assembly','#f59e0b']].forEach(function(arr) {
+    layout.headers.forEach(function(arr) {
       var cx = arr[0], txt = arr[1], bg = arr[2];
       var hg = g.append('g');
       hg.append('rect').attr('x', cx - 55).attr('y', settings.topPad - 6).attr('width', 110).attr('height', 28).attr('rx', 5).attr('fill', bg).attr('opacity', 0.85);
@@ -274,7 +466,11 @@ export function renderGraph() {
       var lines = [];
       if (lk.fastener_pn) lines.push({ text: lk.fastener_pn + (lk.qty > 1 ? ' x' + lk.qty : ''), color: linkColor, bold: true });
       if (lk.loctite && lk.loctite !== '---') lines.push({ text: 'LT-' + lk.loctite, color: '#9b59b6' });
-      if (lk.torque && lk.torque !== '---') lines.push({ text: lk.torque, color: '#e67e22' });
+      if (lk.torque && lk.torque !== '---') {
+        var off = torqueDeviation({ pn: lk.fastener_pn, torque: lk.torque });
+        var tqText = formatTorque(lk.torque);
+        lines.push(off ? { text: '⚠ ' + tqText + ' (' + deviationText(off) + ')', color: '#dc2626', bold: true } : { text: tqText, color: '#e67e22' });
+      }
       if (lk.totalFasteners > 1) lines.push({ text: '+' + (lk.totalFasteners - 1) + ' more', color: '#94a3b8' });
 
       if (lines.length) {
@@ -391,13 +587,24 @@ export function renderGraph() {
     });
   }
 
+  // ── STEP LINKS (precedence) — drawn under the nodes ──
+  g.append('g').attr('class', 'prec-layer');
+
   // ── STEP NODES ──
   var nodeLayer = g.append('g').attr('class', 'node-layer');
   var stepNodes = nodes.filter(function(n) { return n.isStep; });
   var stepGs = nodeLayer.selectAll('.step-node').data(stepNodes, function(d) { return d.id; })
     .enter().append('g').attr('class', 'step-node')
+    .attr('data-sid', function(d) { return d.dbId; })
     .attr('transform', function(d) { return 'translate(' + d.x + ',' + d.y + ')'; });
 
+  // Critical-path halo under the node
+  if (_timing) {
+    stepGs.filter(function(d) { return _timing.critical.has(d.dbId); }).append('path').attr('class', 'critical-halo')
+      .attr('d', function(d) { return shapePath(d.shape, d.w + 8, d.h + 8); })
+      .attr('fill', 'none').attr('stroke', CRITICAL).attr('stroke-width', 3).attr('opacity', 0.45);
+  }
+
   stepGs.append('path').attr('class', 'node-shape')
     .attr('d', function(d) { return shapePath(d.shape, d.w, d.h); })
     .attr('fill', function(d) {
@@ -447,6 +654,13 @@ export function renderGraph() {
     .attr('font-size', '8px').attr('fill', '#9ca3af')
     .text(function(d) { var t = []; if (d.partCount) t.push(d.partCount + 'P'); if (d.fastCount) t.push(d.fastCount + 'F'); return t.join(' . '); });
 
+  // ⏱ standard time above the top-left corner
+  stepGs.filter(function(d) { return d.stdTime; }).append('text')
+    .attr('x', function(d) { return -d.w / 2; }).attr('y', function(d) { return -d.h / 2 - 3; })
+    .attr('font-size', '8px').attr('font-weight', '700')
+    .attr('fill', function(d) { return _timing && _timing.critical.has(d.dbId) ? CRITICAL : '#64748b'; })
+    .text(function(d) { return '⏱' + round1(d.stdTime) + 'm' + (d.headcount > 1 ? ' 👷' + d.headcount : ''); });
+
   if (state.showSequenceNumbers) {
     stepGs.append('text')
       .attr('x', function(d) { return d.w / 2 + 6; }).attr('y', function(d) { return -d.h / 2 + 4; })
@@ -479,15 +693,27 @@ export function renderGraph() {
       .attr('font-size', '13px').attr('font-weight', '900').attr('fill', '#92400e').text(rootNode.label);
   }
 
-  // ── DRAG (Y only) ──
+  // ── DRAG (Y only; balance mode: across station lanes too) ──
+  var dropLane;
   var drag = d3.drag()
-    .on('start', function() { d3.select(this).raise(); })
+    .on('start', function() { d3.select(this).raise(); dropLane = undefined; })
     .on('drag', function(event, d) {
       d.y = event.y;
+      if (balance) {
+        d.x = event.x;
+        var lane = laneAt(layout, d.x);
+        if (lane !== dropLane) {
+          dropLane = lane;
+          d3.select('.zoom-group').selectAll('.station-lane').classed('drop-target', function() { return layout.lanes[+this.getAttribute('data-lane')].station === lane; });
+          renderBalancePanel({ id: d.dbId, station: lane });
+        }
+      }
       d3.select(this).attr('transform', 'translate(' + d.x + ',' + d.y + ')');
-      if (d.dbId) window._eagleEyePositions[d.dbId] = { x: d.x, y: d.y };
-      state.setLayoutDirty(true);
-      updateSaveButton();
+      if (d.dbId && !flow) {
+        window._eagleEyePositions[d.dbId] = { x: d.x, y: d.y };
+        state.setLayoutDirty(true);
+        updateSaveButton();
+      }
 
       // === RECENTER GROUP ===
       var grpNode = _allNodes.find(function(n) { return n.isGroup && n.groupId === d.groupId; });
@@ -538,6 +764,8 @@ export function renderGraph() {
         }
       });
 
+      updateStepLinkPaths();
+
       // === MOVE PART HEXAGONS ===
       if (state.showPartNodes) {
         var sid = String(d.dbId);
@@ -550,13 +778,24 @@ export function renderGraph() {
           el.attr('data-basex', String(px));
         });
       }
+    })
+    .on('end', function(event, d) {
+      if (!balance || dropLane === undefined) return;
+      if (dropLane !== d.station) {
+        var err = moveStepToStation(d.dbId, dropLane);
+        if (err) showToast(err, 'error');
+      }
+      renderBalancePanel();
+      renderGraph();
     });
   stepGs.call(drag);
+  if (state.showStepLinks || flow) addLinkPorts(stepGs);
 
   // ── CLICK + CONTEXT MENU ──
   stepGs.style('cursor', 'pointer')
     .on('click', function(event, d) {
       event.stopPropagation();
+      if (event.shiftKey) { toggleChainStep(d.dbId); return; }
       if (state.ecnMode) {
         var result = state.toggleEcnStep(d.dbId);
         var step = state.steps.find(function(s) { return s.id === result.id; });
@@ -576,22 +815,46 @@ export function renderGraph() {
         { label: '🏷 Set seq tag...', action: function() { promptSeqTag(d.dbId, d.seqTag); } },
         { label: '📋 Set P/N...', action: function() { promptStepPN(d.dbId, d.stepPN); } },
         { sep: true },
+        { label: '🟢 Add part...', action: function() { promptAddPart(d.dbId); } },
+        { label: '🔴 Add fastener...', action: function() { promptAddFastener(d.dbId); } },
+        { label: '➕ Add step to ' + d.groupLabel + '...', action: function() { promptAddStep(d.groupId); } },
+        { sep: true },
         { label: '⚠️ Mark ECN affected', action: function() { markEcnAffected(d.dbId); } },
         { label: '🏷 Clear seq tag', danger: true, action: function() { clearSeqTag(d.dbId); } },
-        { label: '❌ Clear ECN', danger: true, action: function() { clearStepEcn(d.dbId); } }
+        { label: '❌ Clear ECN', danger: true, action: function() { clearStepEcn(d.dbId); } },
+        { label: '🗑️ Delete step...', danger: true, action: function() { confirmDeleteStep(d.dbId); } }
       ];
       showContextMenu(event.clientX, event.clientY, menuItems);
     });
 
-  svg.on('click', function() { state.setSelectedStep(null); renderGraph(); window._eagleEyeUpdateDetail?.(); });
+  groupGs.on('contextmenu', function(event, d) {
+    event.preventDefault(); event.stopPropagation();
+    showContextMenu(event.clientX, event.clientY, [
+      { label: '➕ Add step...', action: function() { promptAddStep(d.groupId); } },
+      { label: '📦 Add group...', action: promptAddGroup },
+      { label: '🧰 Kitting report...', action: function() { openKitReport(d.groupId); } },
+      { sep: true },
+      { label: '🗑️ Delete group...', danger: true, action: function() { confirmDeleteGroup(d.groupId); } }
+    ]);
+  });
+  nodeLayer.selectAll('.root-node').on('contextmenu', function(event) {
+    event.preventDefault(); event.stopPropagation();
+    showContextMenu(event.clientX, event.clientY, [{ label: '📦 Add group...', action: promptAddGroup }]);
+  });
+
+  svg.on('click', function() { state.setSelectedStep(null); selectedLinkId = null; renderGraph(); window._eagleEyeUpdateDetail?.(); });
+  drawStepLinks();
+  markChain();
   fitToScreen(true);
 
   // Legend
   var legendEl = document.getElementById('legend');
   if (legendEl) {
     var h = '';
-    sortedGroups.forEach(function(grp, gi) { h += '<div class="legend-item"><div class="legend-swatch" style="background:' + (grp.color || getLevelColor(gi)) + '"></div>L' + (gi + 1) + '</div>'; });
-    h += '<div class="legend-item" style="color:#374151;font-weight:700;">| ' + state.steps.length + ' steps . ' + sortedGroups.length + ' groups</div>';
+    sortedGroups.forEach(function(grp, gi) { h += '<div class="legend-item"><div class="legend-swatch" style="background:' + (grp.color || getLevelColor(gi)) + '"></div>' + (flow ? grp.label : 'L' + (gi + 1)) + '</div>'; });
+    h += '<div class="legend-item" style="color:#374151;font-weight:700;">| ' + state.steps.length + ' steps . ' + sortedGroups.length + ' groups' +
+      (flow ? ' . ' + state.stepLinks.length + ' links' : '') + '</div>';
+    if (_timing) h += '<div class="legend-item" style="color:' + CRITICAL + ';font-weight:700;">━ critical path ' + round1(_timing.makespan) + ' min</div>';
     legendEl.innerHTML = h;
   }
 }
@@ -621,6 +884,7 @@ function editPartFromGraph(partId) {
       showToast('Part updated: ' + newPN);
       renderGraph();
       window._eagleEyeUpdateDetail?.();
+      refreshMasterFor(newPN);
     } else {
       showToast('Failed to update part');
     }
@@ -651,23 +915,24 @@ function editFastenerFromGraph(stepId) {
   var newLT = prompt('Loctite (222/243/262/271/290/333/425/648 or empty):', f.loctite || '');
   if (newLT === null) return;
 
-  var newTQ = prompt('Torque (e.g. 25Nm or empty):', (f.torque && f.torque !== '---') ? f.torque : '');
+  var current = formatTorque(f.torque);
+  var newTQ = prompt('Torque (e.g. 25 ' + displayUnit() + ', kgf·cm or in-lb; empty for none):', (current && newPN === f.pn) ? current : specTorque(newPN) || current);
   if (newTQ === null) return;
+  var patch = { pn: newPN, qty: newQty, loctite: newLT.trim() || null };
+  // An unchanged answer keeps the stored torque as is — no rounding, and a legacy value that doesn't parse stays put
+  if (newTQ.trim() !== current) {
+    var tq = normalizeTorque(newTQ);
+    if (tq.error) { showToast(tq.error, 'error'); return; }
+    patch.torque = tq.torque;
+  }
 
-  updateFastener(f.id, {
-    pn: newPN,
-    qty: newQty,
-    loctite: newLT.trim() || null,
-    torque: newTQ.trim() || null
-  }).then(function(ok) {
+  updateFastener(f.id, patch).then(function(ok) {
     if (ok) {
-      f.pn = newPN;
-      f.qty = newQty;
-      f.loctite = newLT.trim() || null;
-      f.torque = newTQ.trim() || null;
+      Object.assign(f, patch);
       showToast('Fastener updated');
       renderGraph();
       window._eagleEyeUpdateDetail?.();
+      refreshMasterFor(newPN);
     } else {
       showToast('Failed to update fastener');
     }
@@ -678,6 +943,17 @@ function editFastenerFromGraph(stepId) {
 // UTILITIES
 // ============================================================
 
+// Fetch master info for a newly entered P/N and redraw once it's known
+function refreshMasterFor(pn) {
+  if (state.masterMap[pn]) return;
+  lookupMasterParts([pn]).then(function(map) {
+    if (!map[pn]) return;
+    state.mergeMasterMap(map);
+    renderGraph();
+    window._eagleEyeUpdateDetail?.();
+  });
+}
+
 function updateSaveButton() {
   var btn = document.getElementById('saveBtn');
   if (btn) {
@@ -766,6 +1042,16 @@ export function fitToScreen(instant) {
   else svg.transition().duration(400).call(zoomBehavior.transform, t);
 }
 
+// Pan so a step sits in the middle of the view (global search)
+export function centerOnStep(stepId) {
+  var n = _allNodes.find(function(d) { return d.isStep && d.dbId === stepId; });
+  if (!n || !zoomBehavior) return;
+  var cont = document.getElementById('treeContainer');
+  var k = Math.max(currentTransform.k, 0.8);
+  var t = d3.zoomIdentity.translate(cont.clientWidth / 2 - n.x * k, cont.clientHeight / 2 - n.y * k).scale(k);
+  d3.select('#treeSvg').transition().duration(400).call(zoomBehavior.transform, t);
+}
+
 export async function handleSave() {
   var pos = window._eagleEyePositions;
   if (!pos) return;
@@ -792,3 +1078,151 @@ function showContextMenu(x, y, items) {
   setTimeout(function() { document.addEventListener('click', hideContextMenu, { once: true }); }, 10);
 }
 export function hideContextMenu() { if (ctxEl) { ctxEl.remove(); ctxEl = null; } }
+
+// ============================================================
+// STEP LINKS — precedence overlay. Drag a node's port onto another
+// step to link them; click a link to select it, Del removes it;
+// shift+click steps, then Re-chain links them in click order.
+// ============================================================
+var selectedLinkId = null;
+var chainSel = [];   // step ids in shift+click order
+
+function stepNodeOf(id) { return _allNodes.find(function(n) { return n.isStep && n.dbId === id; }); }
+
+// Flow mode: left → right like the tree edges. Swimlanes (all steps in one
+// column): an arc out of the right edge of both nodes, wider the further apart.
+function stepLinkPath(src, tgt) {
+  if (state.graphMode !== 'swimlane' && tgt.x > src.x) return bezierPath(src.x + src.w / 2, src.y, tgt.x - tgt.w / 2, tgt.y);
+  var sx = src.x + src.w / 2, sy = src.y, tx = tgt.x + tgt.w / 2, ty = tgt.y;
+  var bulge = 24 + Math.min(140, Math.abs(ty - sy) * 0.25);
+  return 'M' + sx + ',' + sy + ' C' + (sx + bulge) + ',' + sy + ' ' + (tx + bulge) + ',' + ty + ' ' + tx + ',' + ty;
+}
+
+function drawStepLinks() {
+  var layer = d3.select('.zoom-group').select('.prec-layer');
+  if (!layer.node()) return;
+  layer.selectAll('*').remove();
+  if (!state.showStepLinks && state.graphMode === 'swimlane') return;
+  state.stepLinks.forEach(function(l) {
+    var src = stepNodeOf(l.parent_step_id), tgt = stepNodeOf(l.child_step_id);
+    if (!src || !tgt) return;
+    var sel = l.id === selectedLinkId;
+    var crit = !sel && _timing && _timing.criticalLinks.has(l.parent_step_id + '>' + l.child_step_id);
+    var color = sel ? '#dc2626' : crit ? CRITICAL : '#2563eb';
+    var lg = layer.append('g').attr('class', 'prec-link').attr('data-src', src.dbId).attr('data-tgt', tgt.dbId).style('cursor', 'pointer');
+    // Wide transparent stroke so the thin dashed line is easy to hit
+    lg.append('path').attr('class', 'prec-hit').attr('d', stepLinkPath(src, tgt))
+      .attr('fill', 'none').attr('stroke', 'transparent').attr('stroke-width', 10);
+    lg.append('path').attr('class', 'prec-path').attr('d', stepLinkPath(src, tgt))
+      .attr('fill', 'none').attr('stroke', color).attr('stroke-width', sel ? 2.5 : crit ? 2 : 1.4)
+      .attr('stroke-dasharray', sel || crit ? null : '5,3').attr('opacity', sel || crit ? 1 : 0.7)
+      .attr('marker-end', 'url(#a' + color.replace('#', '') + ')');
+    lg.append('title').text(src.label + ' → ' + tgt.label + (crit ? ' (critical path)' : ''));
+    lg.on('click', function(event) {
+      event.stopPropagation();
+      selectedLinkId = selectedLinkId === l.id ? null : l.id;
+      drawStepLinks();
+    }).on('contextmenu', function(event) {
+      event.preventDefault(); event.stopPropagation();
+      selectedLinkId = l.id; drawStepLinks();
+      showContextMenu(event.clientX, event.clientY, [
+        { label: '🗑️ Delete link ' + src.label + ' → ' + tgt.label, danger: true, action: function() { removeStepLink(l.id); } }
+      ]);
+    });
+  });
+}
+
+// Node drag: only the endpoints moved
+function updateStepLinkPaths() {
+  d3.select('.zoom-group').select('.prec-layer').selectAll('.prec-link').each(function() {
+    var lg = d3.select(this);
+    var src = stepNodeOf(Number(lg.attr('data-src'))), tgt = stepNodeOf(Number(lg.attr('data-tgt')));
+    if (src && tgt) lg.selectAll('path').attr('d', stepLinkPath(src, tgt));
+  });
+}
+
+function addLinkPorts(stepGs) {
+  var zoomG = d3.select('.zoom-group');
+  var ghost = null;
+  stepGs.append('circle').attr('class', 'link-port')
+    .attr('cx', function(d) { return d.w / 2; }).attr('cy', 0).attr('r', 5)
+    .attr('fill', '#fff').attr('stroke', '#2563eb').attr('stroke-width', 1.5)
+    .style('cursor', 'crosshair')
+    .on('click', function(event) { event.stopPropagation(); })
+    .call(d3.drag()
+      .container(function() { return zoomG.node(); })
+      .on('start', function() {
+        ghost = zoomG.append('path').attr('fill', 'none').attr('stroke', '#2563eb').attr('stroke-width', 1.5)
+          .attr('stroke-dasharray', '4,3').attr('marker-end', 'url(#a2563eb)').attr('pointer-events', 'none');
+      })
+      .on('drag', function(event, d) {
+        ghost.attr('d', 'M' + (d.x + d.w / 2) + ',' + d.y + ' L' + event.x + ',' + event.y);
+      })
+      .on('end', function(event, d) {
+        ghost.remove(); ghost = null;
+        var hit = _allNodes.find(function(n) {
+          return n.isStep && n !== d && Math.abs(event.x - n.x) <= n.w / 2 && Math.abs(event.y - n.y) <= n.h / 2;
+        });
+        if (hit) addStepLink(d.dbId, hit.dbId);
+      }));
+}
+
+async function addStepLink(parentId, childId) {
+  var res = await createStepLink(state.assy.id, parentId, childId);
+  if (res.error) { showToast(res.error.message, 'error'); return; }
+  if (!res.data) return;
+  await window._eagleEyeReload?.();
+  showToast('Steps linked — Ctrl+Z to undo');
+}
+
+async function removeStepLink(linkId) {
+  if (!(await deleteStepLink(linkId))) { showToast('Failed to delete link', 'error'); return; }
+  selectedLinkId = null;
+  await window._eagleEyeReload?.();
+  showToast('Link deleted — Ctrl+Z to undo');
+}
+
+function toggleChainStep(stepId) {
+  var at = chainSel.indexOf(stepId);
+  if (at >= 0) chainSel.splice(at, 1); else chainSel.push(stepId);
+  markChain();
+}
+
+// Outline + click-order badge on shift-selected steps; keeps the toolbar button in step
+function markChain() {
+  chainSel = chainSel.filter(function(id) { return state.steps.some(function(s) { return s.id === id; }); });
+  var nodes = d3.select('.zoom-group').selectAll('.step-node');
+  nodes.selectAll('.chain-badge').remove();
+  nodes.select('.node-shape').attr('filter', null);
+  nodes.each(function(d) {
+    var at = chainSel.indexOf(d.dbId);
+    if (at < 0) return;
+    var el = d3.select(this);
+    el.select('.node-shape').attr('filter', 'drop-shadow(0 0 4px #2563eb)');
+    var b = el.append('g').attr('class', 'chain-badge').attr('transform', 'translate(' + (-d.w / 2) + ',' + (-d.h / 2) + ')');
+    b.append('circle').attr('r', 8).attr('fill', '#2563eb');
+    b.append('text').attr('text-anchor', 'middle').attr('y', 3.5).attr('font-size', '9px').attr('font-weight', '800')
+      .attr('fill', '#fff').text(at + 1);
+  });
+  var btn = document.getElementById('rechainBtn');
+  if (btn) {
+    btn.disabled = chainSel.length < 2;
+    btn.textContent = '⛓ Re-chain' + (chainSel.length ? ' (' + chainSel.length + ')' : '');
+  }
+}
+
+export async function rechainSelection() {
+  if (chainSel.length < 2) { showToast('Shift+click two or more steps first', 'error'); return; }
+  var res = await rechainSteps(state.assy.id, chainSel.slice());
+  if (res.error) { showToast(res.error.message, 'error'); return; }
+  if (!res.data) return;
+  chainSel = [];
+  await window._eagleEyeReload?.();
+  showToast('Re-chained ' + (res.data.length + 1) + ' steps — Ctrl+Z to undo');
+}
+
+document.addEventListener('keydown', function(e) {
+  if (e.target.closest?.('input, textarea, select') || document.getElementById('treeContainer')?.style.display === 'none') return;
+  if ((e.key === 'Delete' || e.key === 'Backspace') && selectedLinkId) { e.preventDefault(); removeStepLink(selectedLinkId); }
+  else if (e.key === 'Escape' && (selectedLinkId || chainSel.length)) { selectedLinkId = null; chainSel = []; drawStepLinks(); markChain(); }
+});
@@ -0,0 +1,60 @@
+// ============================================================
+// Eagle Eye Tree - Undo/Redo History (v3.12)
+// Command stack: each entry holds the forward (redo) and
+// inverse (undo) database operation for one edit. database.js
+// records entries; app.js wires shortcuts and the panel.
+// ============================================================
+
+const MAX_ENTRIES = 100;
+
+const undoStack = [];   // oldest → newest
+const redoStack = [];
+const listeners = [];
+let replaying = false;
+let seq = 0;
+
+function notify() { listeners.forEach(fn => fn()); }
+
+export function onHistoryChange(fn) { listeners.push(fn); }
+
+// { label, undo: async () => bool, redo: async () => bool }. Ignored while an
+// undo/redo is running so replayed writes don't record themselves.
+export function record(entry) {
+  if (replaying) return;
+  undoStack.push({ id: ++seq, at: Date.now(), ...entry });
+  if (undoStack.length > MAX_ENTRIES) undoStack.shift();
+  redoStack.length = 0;
+  notify();
+}
+
+async function replay(from, to, fnName) {
+  const entry = from[from.length - 1];
+  if (!entry || replaying) return null;
+  replaying = true;
+  let ok = false;
+  try { ok = await entry[fnName](); }
+  catch (e) { console.error(`${fnName} "${entry.label}":`, e.message); }
+  finally { replaying = false; }
+  if (!ok) return { entry, ok: false };
+  from.pop();
+  to.push(entry);
+  notify();
+  return { entry, ok: true };
+}
+
+export function undo() { return replay(undoStack, redoStack, 'undo'); }
+export function redo() { return replay(redoStack, undoStack, 'redo'); }
+
+export function canUndo() { return undoStack.length > 0; }
+export function canRedo() { return redoStack.length > 0; }
+
+// Newest first, for the history panel
+export function entries() {
+  return {
+    done: undoStack.slice().reverse().map(e => ({ id: e.id, label: e.label, at: e.at })),
+    undone: redoStack.slice().reverse().map(e => ({ id: e.id, label: e.label, at: e.at }))
+  };
+}
+
+// Assembly switch: entries refer to rows of the old assembly
+export function clearHistory() { undoStack.length = 0; redoStack.length = 0; notify(); }
@@ -0,0 +1,33 @@
+// ============================================================
+// Eagle Eye Tree - IndexedDB key/value helper (v3.7)
+// Shared by the local store; index.html opens the same DB.
+// ============================================================
+
+const IDB_NAME = 'eagle-eye';
+const IDB_STORE = 'kv';
+
+let _dbPromise = null;
+
+function openDb() {
+  if (_dbPromise) return _dbPromise;
+  _dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(IDB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { _dbPromise = null; reject(req.error); };
+  });
+  return _dbPromise;
+}
+
+function run(mode, fn) {
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_STORE, mode);
+    const req = fn(tx.objectStore(IDB_STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  }));
+}
+
+export function idbGet(key) { return run('readonly', s => s.get(key)); }
+export function idbSet(key, value) { return run('readwrite', s => s.put(value, key)); }
+export function idbDelete(key) { return run('readwrite', s => s.delete(key)); }
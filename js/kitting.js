@@ -0,0 +1,170 @@
+// ============================================================
+// Eagle Eye Tree - Kitting Report (v3.30)
+// Rolls state.fasts up by P/N + loctite + torque for the whole
+// assembly and for each group, so a build's fasteners can be
+// kitted per group without reading every step. Lines are sorted
+// by master location (pick order); a P/N used with different
+// torques is flagged. Print opens a light kit sheet per group.
+// Torques compare in N·m and print in the display unit.
+// ============================================================
+
+import * as state from './state.js';
+import { showToast, esc } from './ui.js';
+import { torqueNm, formatTorque, blank } from './torque.js';
+
+// '25Nm' and '255 kgf·cm' are the same torque; unreadable text keys on itself
+const torqueKey = t => {
+  if (blank(t)) return '';
+  const nm = torqueNm(t);
+  return nm !== null ? String(Math.round(nm * 100) / 100) : String(t).replace(/\s+/g, '').toLowerCase();
+};
+const byLocation = (a, b) => (a.location ? 0 : 1) - (b.location ? 0 : 1) ||
+  String(a.location || '').localeCompare(String(b.location || ''), undefined, { numeric: true }) || a.pn.localeCompare(b.pn);
+
+const sortedGroups = () => state.groups.slice().sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+
+// groupId null → whole assembly. { lines: [{ pn, loctite, torque, qty, name, location, steps }],
+// consumables: [{ loctite, qty, pns }], conflicts: [{ pn, torques: [{ torque, steps }] }] }
+export function buildKit(groupId) {
+  const steps = new Map(state.steps.filter(s => groupId === null || s.group_id === groupId).map(s => [s.id, s]));
+  const fasts = state.fasts.filter(f => steps.has(f.step_id) && f.pn);
+
+  const lines = new Map();
+  fasts.forEach(f => {
+    const key = [f.pn, blank(f.loctite) ? '' : f.loctite, torqueKey(f.torque)].join('|');
+    if (!lines.has(key)) {
+      const m = state.lookup(f.pn);
+      lines.set(key, { pn: f.pn, loctite: blank(f.loctite) ? null : f.loctite, torque: blank(f.torque) ? null : formatTorque(f.torque),
+        qty: 0, name: m.name, location: m.location, steps: [] });
+    }
+    const line = lines.get(key);
+    line.qty += f.qty || 1;
+    const label = steps.get(f.step_id).seq_tag || steps.get(f.step_id).label;
+    if (!line.steps.includes(label)) line.steps.push(label);
+  });
+
+  const consumables = new Map();
+  fasts.filter(f => !blank(f.loctite)).forEach(f => {
+    const c = consumables.get(f.loctite) || { loctite: f.loctite, qty: 0, pns: new Set() };
+    c.qty += f.qty || 1;
+    c.pns.add(f.pn);
+    consumables.set(f.loctite, c);
+  });
+
+  // Same P/N, different torque — across the scope, blank torque counts as a value
+  const torques = new Map();
+  fasts.forEach(f => {
+    if (!torques.has(f.pn)) torques.set(f.pn, new Map());
+    const t = torques.get(f.pn), k = torqueKey(f.torque);
+    if (!t.has(k)) t.set(k, { torque: blank(f.torque) ? null : formatTorque(f.torque), steps: [] });
+    const label = steps.get(f.step_id).seq_tag || steps.get(f.step_id).label;
+    if (!t.get(k).steps.includes(label)) t.get(k).steps.push(label);
+  });
+  const conflicts = [...torques].filter(([, t]) => t.size > 1).map(([pn, t]) => ({ pn, torques: [...t.values()] }));
+
+  return {
+    lines: [...lines.values()].sort(byLocation),
+    consumables: [...consumables.values()].map(c => ({ ...c, pns: [...c.pns] })).sort((a, b) => a.loctite.localeCompare(b.loctite)),
+    conflicts: conflicts.sort((a, b) => a.pn.localeCompare(b.pn))
+  };
+}
+
+// ============================================================
+// REPORT DIALOG
+// ============================================================
+
+export function buildKitControls() {
+  const status = document.getElementById('statusText');
+  if (!status || document.getElementById('kitBtn')) return;
+  const btn = document.createElement('button');
+  btn.className = 'tool-btn';
+  btn.id = 'kitBtn';
+  btn.title = 'Fastener + loctite kitting report, per group';
+  btn.textContent = '🧰 Kit';
+  status.before(btn);
+  btn.addEventListener('click', () => openKitReport(null));
+}
+
+export function openKitReport(groupId) {
+  if (!state.assy) return;
+  document.getElementById('kitOverlay')?.remove();
+  const overlay = document.createElement('div');
+  overlay.id = 'kitOverlay';
+  overlay.className = 'modal-overlay';
+  document.body.appendChild(overlay);
+
+  const render = gid => {
+    const kit = buildKit(gid);
+    overlay.innerHTML = '<div class="modal kit-modal">' +
+      '<div class="spacing-panel-header"><span>🧰 Kitting report</span><button class="spacing-close" data-kit="close">×</button></div>' +
+      '<div class="kit-bar"><select class="ef-input" data-kit="scope"><option value="">Whole assembly</option>' +
+      sortedGroups().map(g => `<option value="${g.id}"${g.id === gid ? ' selected' : ''}>${esc((g.icon ? g.icon + ' ' : '') + g.label)}</option>`).join('') +
+      '</select><button class="history-btn" data-kit="print" title="Whole assembly, then one sheet per group">🖨 Print kit sheets</button></div>' +
+      '<div class="kit-body">' + kitHtml(kit) + '</div></div>';
+    overlay.querySelector('[data-kit="scope"]').addEventListener('change', e => render(e.target.value ? Number(e.target.value) : null));
+    overlay.querySelector('[data-kit="close"]').addEventListener('click', () => overlay.remove());
+    overlay.querySelector('[data-kit="print"]').addEventListener('click', printKitSheets);
+  };
+  overlay.addEventListener('click', e => { if (e.target === overlay) overlay.remove(); });
+  overlay.addEventListener('keydown', e => { if (e.key === 'Escape') overlay.remove(); });
+  render(groupId);
+}
+
+function kitHtml(kit) {
+  if (!kit.lines.length) return '<div class="history-empty">No fasteners in this scope</div>';
+  const pcs = kit.lines.reduce((t, l) => t + l.qty, 0);
+  let html = '';
+  if (kit.conflicts.length) {
+    html += '<div class="kit-warn"><b>⚠️ Same P/N, different torque</b>' + kit.conflicts.map(c =>
+      `<div><span class="kit-pn">${esc(c.pn)}</span> ` + c.torques.map(t => `${esc(t.torque || 'no torque')} <span class="kit-steps">(${esc(t.steps.join(', '))})</span>`).join(' · ') + '</div>').join('') + '</div>';
+  }
+  html += '<table class="kit-table"><tr><th>Location</th><th>P/N</th><th>Name</th><th>Loctite</th><th>Torque</th><th class="num">Qty</th><th>Steps</th></tr>' +
+    kit.lines.map(l => `<tr${kit.conflicts.some(c => c.pn === l.pn) ? ' class="kit-conflict"' : ''}><td>${esc(l.location || '—')}</td><td class="kit-pn">${esc(l.pn)}</td>` +
+      `<td>${esc(l.name || '')}</td><td>${esc(l.loctite || '')}</td><td>${esc(l.torque || '')}</td><td class="num">${l.qty}</td><td class="kit-steps">${esc(l.steps.join(', '))}</td></tr>`).join('') +
+    `<tr class="kit-total"><td colspan="5">${kit.lines.length} lines</td><td class="num">${pcs}</td><td></td></tr></table>`;
+  if (kit.consumables.length) {
+    html += '<div class="kit-sub">Consumables</div><table class="kit-table"><tr><th>Loctite</th><th class="num">Fasteners</th><th>P/Ns</th></tr>' +
+      kit.consumables.map(c => `<tr><td>${esc(c.loctite)}</td><td class="num">${c.qty}</td><td class="kit-steps">${esc(c.pns.join(', '))}</td></tr>`).join('') + '</table>';
+  }
+  return html;
+}
+
+// ============================================================
+// PRINT — its own window with a light, paper-friendly sheet
+// ============================================================
+
+const PRINT_CSS = `body{font:11px -apple-system,'Segoe UI',sans-serif;color:#111;margin:16px}
+h1{font-size:16px;margin:0 0 2px}h2{font-size:14px;margin:0 0 2px}.sub{color:#555;margin-bottom:8px}
+section+section{page-break-before:always}
+table{width:100%;border-collapse:collapse;margin-bottom:10px}th,td{border:1px solid #bbb;padding:3px 5px;text-align:left}
+th{background:#eee;font-size:9px;text-transform:uppercase}.num{text-align:right}.chk{width:18px}
+.kit-pn{font-family:monospace;font-weight:700}.kit-steps{color:#555;font-size:9px}
+.kit-conflict td{background:#fff4e5}.kit-warn{border:1px solid #f59e0b;background:#fffbeb;padding:4px 6px;margin-bottom:8px}
+.kit-total td{font-weight:700;background:#f7f7f7}.kit-sub{font-weight:700;margin:6px 0 3px}`;
+
+function sheetHtml(title, kit) {
+  const rows = kit.lines.map(l => `<tr${kit.conflicts.some(c => c.pn === l.pn) ? ' class="kit-conflict"' : ''}><td class="chk">☐</td><td>${esc(l.location || '—')}</td>` +
+    `<td class="kit-pn">${esc(l.pn)}</td><td>${esc(l.name || '')}</td><td>${esc(l.loctite || '')}</td><td>${esc(l.torque || '')}</td>` +
+    `<td class="num">${l.qty}</td><td class="kit-steps">${esc(l.steps.join(', '))}</td></tr>`).join('');
+  return `<section><h2>${esc(title)}</h2><div class="sub">${kit.lines.length} lines · ${kit.lines.reduce((t, l) => t + l.qty, 0)} pcs</div>` +
+    (kit.conflicts.length ? '<div class="kit-warn"><b>⚠ Same P/N, different torque:</b> ' +
+      kit.conflicts.map(c => `${esc(c.pn)} (${c.torques.map(t => esc(t.torque || 'none')).join(' / ')})`).join('; ') + '</div>' : '') +
+    '<table><tr><th class="chk"></th><th>Location</th><th>P/N</th><th>Name</th><th>Loctite</th><th>Torque</th><th class="num">Qty</th><th>Steps</th></tr>' + rows + '</table>' +
+    (kit.consumables.length ? '<div class="kit-sub">Consumables</div><table><tr><th class="chk"></th><th>Loctite</th><th class="num">Fasteners</th></tr>' +
+      kit.consumables.map(c => `<tr><td class="chk">☐</td><td>${esc(c.loctite)}</td><td class="num">${c.qty}</td></tr>`).join('') + '</table>' : '') +
+    '</section>';
+}
+
+function printKitSheets() {
+  const win = window.open('', '_blank');
+  if (!win) { showToast('Allow pop-ups to print the kit sheets', 'error'); return; }
+  const tag = state.assy.tag + (state.assy.version ? ' v' + state.assy.version : '');
+  const sheets = [sheetHtml(`${tag} — whole assembly`, buildKit(null))].concat(sortedGroups()
+    .map(g => ({ g, kit: buildKit(g.id) })).filter(x => x.kit.lines.length)
+    .map(x => sheetHtml(`${tag} — ${(x.g.icon ? x.g.icon + ' ' : '') + x.g.label}`, x.kit)));
+  win.document.write(`<!doctype html><html><head><meta charset="utf-8"><title>Kit sheets ${esc(tag)}</title><style>${PRINT_CSS}</style></head>` +
+    `<body><h1>Kit sheets — ${esc(tag)}</h1><div class="sub">Printed ${new Date().toLocaleString()} · sorted by location</div>${sheets.join('')}</body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+}
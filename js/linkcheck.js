@@ -0,0 +1,109 @@
+// ============================================================
+// Eagle Eye Tree - Link Check (v3.21)
+// Validates the open assembly's step links after every load and
+// link edit (app.js runs it from updateStats): cycles, dangling
+// step ids, duplicates and isolated steps. The count sits in the
+// history bar; the panel lists each issue with a one-click fix.
+// ============================================================
+
+import * as state from './state.js';
+import { validateLinks } from './links.js';
+import { deleteStepLink, deleteStepLinks, relinkGroup } from './database.js';
+import { showToast, esc } from './ui.js';
+
+let report = null;
+
+// Labels are other users' free text — escaped here, as they only go into innerHTML
+const stepLabel = id => esc(state.steps.find(s => s.id === id)?.label || `#${id} (deleted)`);
+const issueCount = r => r.dangling.length + r.duplicates.length + r.cycles.length + r.isolated.length;
+
+export function runLinkCheck() {
+  if (!state.assy) return;
+  report = validateLinks(state.steps.map(s => s.id), state.stepLinks);
+  const btn = document.getElementById('linkCheckBtn');
+  if (btn) {
+    const n = issueCount(report);
+    btn.textContent = n ? `🩺 ${n} link issue${n > 1 ? 's' : ''}` : '🩺 Links OK';
+    btn.classList.toggle('has-issues', n > 0);
+  }
+  renderPanel();
+}
+
+export function buildLinkCheck() {
+  const bar = document.getElementById('historyBar');
+  if (!bar || document.getElementById('linkCheckBtn')) return;
+  const btn = document.createElement('button');
+  btn.className = 'history-btn link-check-btn';
+  btn.id = 'linkCheckBtn';
+  btn.title = 'Validate step links';
+  btn.textContent = '🩺 Links';
+  bar.appendChild(btn);
+
+  const panel = document.createElement('div');
+  panel.id = 'linkCheckPanel';
+  panel.className = 'history-panel link-check-panel';
+  panel.style.display = 'none';
+  document.body.appendChild(panel);
+
+  btn.addEventListener('click', () => {
+    panel.style.display = panel.style.display === 'none' ? '' : 'none';
+    renderPanel();
+  });
+}
+
+function section(title, rows, fix) {
+  if (!rows.length) return '';
+  return `<div class="lc-section"><div class="lc-title"><span>${title} (${rows.length})</span>${fix || ''}</div>${rows.join('')}</div>`;
+}
+
+function renderPanel() {
+  const panel = document.getElementById('linkCheckPanel');
+  if (!panel || panel.style.display === 'none' || !report) return;
+  const r = report;
+  const linkText = l => `${stepLabel(l.parent_step_id)} → ${stepLabel(l.child_step_id)}`;
+  const byGroup = new Map();
+  r.isolated.forEach(id => {
+    const gid = state.steps.find(s => s.id === id)?.group_id;
+    byGroup.set(gid, (byGroup.get(gid) || []).concat(id));
+  });
+
+  const body =
+    section('Cycles', r.cycles.map((c, i) =>
+      `<div class="lc-row"><span>${c.concat(c[0]).map(stepLabel).join(' → ')}</span><button class="history-btn" data-break="${i}">Break</button></div>`)) +
+    section('Dangling links', r.dangling.map(l => `<div class="lc-row"><span>${linkText(l)}</span></div>`),
+      '<button class="history-btn" data-fix="dangling">Delete all</button>') +
+    section('Duplicate links', r.duplicates.map(l => `<div class="lc-row"><span>${linkText(l)}</span></div>`),
+      '<button class="history-btn" data-fix="duplicates">Delete extras</button>') +
+    section('Isolated steps', [...byGroup].map(([gid, ids]) => {
+      const grp = state.groups.find(g => g.id === gid);
+      return `<div class="lc-row"><span><b>${esc(grp?.label || '?')}</b>: ${ids.map(stepLabel).join(', ')}</span>` +
+        `<button class="history-btn" data-relink="${gid}" title="Chain this group's steps in order and hand off to its neighbours">Re-link group</button></div>`;
+    }));
+
+  panel.innerHTML = '<div class="spacing-panel-header"><span>🩺 Link check</span><button class="spacing-close" id="linkCheckClose">×</button></div>' +
+    `<div class="history-list">${body || '<div class="history-empty">No problems found</div>'}</div>`;
+  document.getElementById('linkCheckClose').addEventListener('click', () => { panel.style.display = 'none'; });
+
+  panel.querySelectorAll('[data-fix]').forEach(b => b.addEventListener('click', () => {
+    const kind = b.dataset.fix;
+    fix(deleteStepLinks(r[kind].map(l => l.id), `Delete ${r[kind].length} ${kind} link${r[kind].length > 1 ? 's' : ''}`));
+  }));
+  // Drop the link that closes the loop back into the cycle's first step
+  panel.querySelectorAll('[data-break]').forEach(b => b.addEventListener('click', () => {
+    const c = r.cycles[b.dataset.break];
+    const closing = state.stepLinks.find(l => l.child_step_id === c[0] && c.includes(l.parent_step_id));
+    if (closing) fix(deleteStepLink(closing.id));
+  }));
+  panel.querySelectorAll('[data-relink]').forEach(b => b.addEventListener('click', () => {
+    fix(relinkGroup(state.assy.id, Number(b.dataset.relink), state.groups, state.steps));
+  }));
+}
+
+// Fixes resolve true/false (deletes) or { data, error } (re-link)
+async function fix(pending) {
+  const res = await pending;
+  if (res && res.error) { showToast(res.error.message, 'error'); return; }
+  if (!res || (typeof res === 'object' && !res.data)) return;
+  await window._eagleEyeReload?.();
+  showToast('Links fixed — Ctrl+Z to undo');
+}
@@ -0,0 +1,230 @@
+// ============================================================
+// Eagle Eye Tree - Step Link Graph (v3.23)
+// Pure helpers over eagle_eye_app_step_links rows
+// ({ parent_step_id, child_step_id }): adjacency, reachability,
+// cycle checks, ordering, layering, critical path and station
+// balancing. No imports, so any module can use them.
+// ============================================================
+
+// parent id → [child ids]
+export function childrenOf(links) {
+  const out = new Map();
+  links.forEach(l => {
+    if (!out.has(l.parent_step_id)) out.set(l.parent_step_id, []);
+    out.get(l.parent_step_id).push(l.child_step_id);
+  });
+  return out;
+}
+
+// Is `to` downstream of `from`?
+export function reaches(links, from, to) {
+  const next = childrenOf(links);
+  const seen = new Set([from]);
+  const stack = [from];
+  while (stack.length) {
+    const id = stack.pop();
+    if (id === to) return true;
+    (next.get(id) || []).forEach(c => { if (!seen.has(c)) { seen.add(c); stack.push(c); } });
+  }
+  return false;
+}
+
+// parent → child closes a loop when parent is already downstream of child
+export function wouldCreateCycle(links, parentId, childId) {
+  return parentId === childId || reaches(links, childId, parentId);
+}
+
+// [a, b, c] → [[a, b], [b, c]]
+export function chainPairs(stepIds) {
+  return stepIds.slice(1).map((id, i) => [stepIds[i], id]);
+}
+
+// Only the links whose both ends are in `ids` (a filtered or partial step set)
+export function linksWithin(ids, links) {
+  const set = new Set(ids);
+  return links.filter(l => set.has(l.parent_step_id) && set.has(l.child_step_id));
+}
+
+// Kahn's algorithm. Steps on (or downstream of) a cycle never reach in-degree 0,
+// so they come back in `cyclic` instead of `order`.
+export function topoOrder(ids, links) {
+  const within = linksWithin(ids, links);
+  const next = childrenOf(within);
+  const indeg = new Map(ids.map(id => [id, 0]));
+  within.forEach(l => indeg.set(l.child_step_id, indeg.get(l.child_step_id) + 1));
+  const ready = ids.filter(id => indeg.get(id) === 0);
+  const order = [];
+  while (ready.length) {
+    const id = ready.shift();
+    order.push(id);
+    (next.get(id) || []).forEach(c => {
+      indeg.set(c, indeg.get(c) - 1);
+      if (indeg.get(c) === 0) ready.push(c);
+    });
+  }
+  const placed = new Set(order);
+  return { order, cyclic: ids.filter(id => !placed.has(id)) };
+}
+
+// Longest-path layering: sources in layer 0, every step one layer past its
+// deepest parent. Cyclic steps go one layer past everything else.
+export function layerSteps(ids, links) {
+  const { order, cyclic } = topoOrder(ids, links);
+  const parents = new Map();
+  linksWithin(ids, links).forEach(l => {
+    if (!parents.has(l.child_step_id)) parents.set(l.child_step_id, []);
+    parents.get(l.child_step_id).push(l.parent_step_id);
+  });
+  const layer = new Map();
+  order.forEach(id => layer.set(id, Math.max(-1, ...(parents.get(id) || []).map(p => layer.get(p))) + 1));
+  const last = Math.max(-1, ...layer.values());
+  cyclic.forEach(id => layer.set(id, last + 1));
+  return layer;
+}
+
+// Every cycle as a list of step ids (one strongly connected component each,
+// in walk order where possible; a self-link is a cycle of one)
+export function findCycles(links) {
+  const next = childrenOf(links);
+  const index = new Map(), low = new Map(), onStack = new Set(), stack = [], out = [];
+  let counter = 0;
+  const visit = v => {
+    index.set(v, counter); low.set(v, counter); counter++;
+    stack.push(v); onStack.add(v);
+    (next.get(v) || []).forEach(w => {
+      if (!index.has(w)) { visit(w); low.set(v, Math.min(low.get(v), low.get(w))); }
+      else if (onStack.has(w)) low.set(v, Math.min(low.get(v), index.get(w)));
+    });
+    if (low.get(v) !== index.get(v)) return;
+    const comp = [];
+    let w;
+    do { w = stack.pop(); onStack.delete(w); comp.push(w); } while (w !== v);
+    if (comp.length > 1 || (next.get(v) || []).includes(v)) out.push(comp.reverse());
+  };
+  [...next.keys()].forEach(v => { if (!index.has(v)) visit(v); });
+  return out;
+}
+
+// Problems with an assembly's links against its steps:
+//   dangling   links whose parent or child step no longer exists
+//   duplicates second and later copies of the same parent → child
+//   cycles     [[step ids]] among the valid links
+//   isolated   steps with no link in or out (only when there are other links)
+export function validateLinks(stepIds, links) {
+  const ids = new Set(stepIds);
+  const dangling = links.filter(l => !ids.has(l.parent_step_id) || !ids.has(l.child_step_id));
+  const seen = new Set(), duplicates = [];
+  const valid = links.filter(l => {
+    if (dangling.includes(l)) return false;
+    const key = `${l.parent_step_id}>${l.child_step_id}`;
+    if (seen.has(key)) { duplicates.push(l); return false; }
+    seen.add(key);
+    return true;
+  });
+  const linked = new Set(valid.flatMap(l => [l.parent_step_id, l.child_step_id]));
+  const isolated = valid.length ? stepIds.filter(id => !linked.has(id)) : [];
+  return { dangling, duplicates, cycles: findCycles(valid), isolated };
+}
+
+// Critical path method. duration(id) → minutes (missing times count as 0); cyclic
+// steps can't be scheduled and are left out. Returns per-step earliest/latest
+// start + finish and slack, the makespan, and the zero-slack steps and links.
+export function criticalPath(ids, duration, links) {
+  const { order, cyclic } = topoOrder(ids, links);
+  const within = linksWithin(order, links);
+  const parents = new Map(), children = childrenOf(within);
+  within.forEach(l => parents.set(l.child_step_id, (parents.get(l.child_step_id) || []).concat(l.parent_step_id)));
+
+  const t = new Map();
+  order.forEach(id => {
+    const es = Math.max(0, ...(parents.get(id) || []).map(p => t.get(p).ef));
+    t.set(id, { es, ef: es + (duration(id) || 0) });
+  });
+  const makespan = Math.max(0, ...[...t.values()].map(v => v.ef));
+  order.slice().reverse().forEach(id => {
+    const v = t.get(id);
+    v.lf = Math.min(makespan, ...(children.get(id) || []).map(c => t.get(c).ls));
+    v.ls = v.lf - (duration(id) || 0);
+    v.slack = v.ls - v.es;
+  });
+
+  const EPS = 1e-6;
+  const critical = new Set(order.filter(id => t.get(id).slack < EPS));
+  const criticalLinks = new Set(within
+    .filter(l => critical.has(l.parent_step_id) && critical.has(l.child_step_id) && Math.abs(t.get(l.parent_step_id).ef - t.get(l.child_step_id).es) < EPS)
+    .map(l => `${l.parent_step_id}>${l.child_step_id}`));
+  return { timing: t, makespan, critical, criticalLinks, cyclic };
+}
+
+// ============================================================
+// LINE BALANCING — steps → stations 0..n-1, precedence kept:
+// every parent sits on the same or an earlier station
+// ============================================================
+
+// Ranked positional weight: open stations in turn and fill each with the
+// heaviest ready step (own time + everything downstream) that still fits the
+// takt. A step longer than the takt gets a station to itself; whatever is
+// left when the last station is reached goes on it (shown as overload).
+// Cyclic steps can't be placed and are left out of the Map.
+export function balanceLine(ids, duration, links, { takt, stations }) {
+  const { order } = topoOrder(ids, links);
+  const within = linksWithin(order, links);
+  const children = childrenOf(within);
+  const pending = new Map(order.map(id => [id, 0]));
+  within.forEach(l => pending.set(l.child_step_id, pending.get(l.child_step_id) + 1));
+
+  const weight = new Map();
+  order.slice().reverse().forEach(id => {
+    const down = new Set();
+    const stack = [...(children.get(id) || [])];
+    while (stack.length) {
+      const c = stack.pop();
+      if (!down.has(c)) { down.add(c); stack.push(...(children.get(c) || [])); }
+    }
+    weight.set(id, (duration(id) || 0) + [...down].reduce((t, c) => t + (duration(c) || 0), 0));
+  });
+
+  const assign = new Map();
+  const ready = order.filter(id => pending.get(id) === 0);
+  let station = 0, load = 0;
+  while (ready.length) {
+    ready.sort((a, b) => weight.get(b) - weight.get(a) || order.indexOf(a) - order.indexOf(b));
+    const last = station >= stations - 1;
+    const at = ready.findIndex(id => last || load === 0 || load + (duration(id) || 0) <= takt + 1e-9);
+    if (at < 0) { station++; load = 0; continue; }
+    const [id] = ready.splice(at, 1);
+    assign.set(id, station);
+    load += duration(id) || 0;
+    (children.get(id) || []).forEach(c => {
+      pending.set(c, pending.get(c) - 1);
+      if (pending.get(c) === 0) ready.push(c);
+    });
+  }
+  return assign;
+}
+
+// Per-station load and idle against the takt. The line runs at the slowest
+// station, so efficiency = work ÷ (stations × max(takt, heaviest load)).
+export function stationLoads(ids, duration, assign, stations, takt) {
+  const loads = Array.from({ length: stations }, () => 0);
+  ids.forEach(id => { if (assign.has(id)) loads[assign.get(id)] += duration(id) || 0; });
+  const work = loads.reduce((a, b) => a + b, 0);
+  const cycle = Math.max(takt, ...loads);
+  return {
+    loads, work, cycle,
+    idle: loads.map(l => Math.max(0, takt - l)),
+    over: loads.map(l => l > takt + 1e-9),
+    efficiency: stations && cycle ? work / (stations * cycle) : 0
+  };
+}
+
+// Stations a step can move to without breaking precedence: no earlier than
+// its latest parent, no later than its earliest child
+export function stationRange(id, assign, links, stations) {
+  let min = 0, max = stations - 1;
+  links.forEach(l => {
+    if (l.child_step_id === id && assign.has(l.parent_step_id)) min = Math.max(min, assign.get(l.parent_step_id));
+    if (l.parent_step_id === id && assign.has(l.child_step_id)) max = Math.min(max, assign.get(l.child_step_id));
+  });
+  return { min, max };
+}
@@ -0,0 +1,175 @@
+// ============================================================
+// Eagle Eye Tree - Tree Lint (v3.30)
+// Data-quality report for the open assembly, re-run with the stats
+// after every load and edit: steps with no parts, fasteners missing
+// torque / loctite or off their torque spec, P/Ns not in the master
+// list, duplicate seq tags and step P/Ns, qty ≤ 0, empty groups.
+// Each finding opens its row in the detail panel; Export writes the
+// report as CSV so it can be filed before a version is frozen.
+// ============================================================
+
+import * as state from './state.js';
+import { revealStep } from './views.js';
+import { showToast, esc, flashClass } from './ui.js';
+import { torqueDeviation, deviationText } from './fasteners.js';
+import { formatTorque, blank } from './torque.js';
+
+const FLASH_MS = 2500;
+const badQty = q => q !== null && q !== undefined && Number(q) <= 0;
+const csvCell = v => /[",\n]/.test(String(v ?? '')) ? `"${String(v).replace(/"/g, '""')}"` : String(v ?? '');
+
+// rule → section title, in report order
+const RULES = {
+  noParts: 'Steps with no parts',
+  fastSpec: 'Fasteners missing torque / loctite',
+  torqueOff: 'Torque off spec',
+  notInMaster: 'P/Ns not in master list',
+  dupSeq: 'Duplicate seq tags',
+  dupStepPn: 'Steps sharing a P/N',
+  badQty: 'Qty ≤ 0',
+  emptyGroup: 'Groups with no steps'
+};
+
+let report = null;
+
+// [{ rule, text, stepId, groupId, row: { kind: 'part' | 'fast', id } | null, pn }]
+export function lintTree() {
+  const findings = [];
+  const add = (rule, text, f) => findings.push({ rule, text, stepId: null, groupId: null, row: null, pn: null, ...f });
+  const partsOf = new Map(), fastsOf = new Map();
+  state.parts.forEach(p => partsOf.set(p.step_id, (partsOf.get(p.step_id) || []).concat(p)));
+  state.fasts.forEach(f => fastsOf.set(f.step_id, (fastsOf.get(f.step_id) || []).concat(f)));
+  // Without a master list every P/N would be flagged, so the rule waits for one
+  const checkMaster = !!state.masterCount;
+  const inMaster = pn => !!state.masterMap[pn];
+
+  state.steps.forEach(s => {
+    const base = { stepId: s.id, groupId: s.group_id };
+    // Notes and 完了 sign-offs carry no parts by design
+    if (s.type !== 'note' && s.type !== 'kanryo' && !(partsOf.get(s.id) || []).length) add('noParts', 'no parts', base);
+    if (checkMaster && s.pn && !inMaster(s.pn)) add('notInMaster', `step P/N ${s.pn}`, { ...base, pn: s.pn });
+    (partsOf.get(s.id) || []).forEach(p => {
+      const row = { kind: 'part', id: p.id };
+      if (checkMaster && p.pn && !inMaster(p.pn)) add('notInMaster', `part ${p.pn}`, { ...base, row, pn: p.pn });
+      if (badQty(p.qty)) add('badQty', `part ${p.pn} ×${p.qty}`, { ...base, row, pn: p.pn });
+    });
+    (fastsOf.get(s.id) || []).forEach(f => {
+      const row = { kind: 'fast', id: f.id };
+      const missing = [blank(f.torque) && 'torque', blank(f.loctite) && 'loctite'].filter(Boolean);
+      if (missing.length) add('fastSpec', `${f.pn} — no ${missing.join(' or ')}`, { ...base, row, pn: f.pn });
+      const off = torqueDeviation(f);
+      if (off) add('torqueOff', `${f.pn} ${formatTorque(f.torque)} — ${deviationText(off)}`, { ...base, row, pn: f.pn });
+      if (checkMaster && f.pn && !inMaster(f.pn)) add('notInMaster', `fastener ${f.pn}`, { ...base, row, pn: f.pn });
+      if (badQty(f.qty)) add('badQty', `fastener ${f.pn} ×${f.qty}`, { ...base, row, pn: f.pn });
+    });
+  });
+
+  // Every step in a duplicate set is listed, so each one is a click away
+  const dupes = (key, rule, text) => {
+    const by = new Map();
+    state.steps.filter(s => !blank(s[key])).forEach(s => by.set(s[key], (by.get(s[key]) || []).concat(s)));
+    by.forEach((list, v) => {
+      if (list.length > 1) list.forEach(s => add(rule, text(v, list.length), { stepId: s.id, groupId: s.group_id, pn: key === 'pn' ? v : null }));
+    });
+  };
+  dupes('seq_tag', 'dupSeq', (v, n) => `🏷 ${v} used ${n}×`);
+  dupes('pn', 'dupStepPn', (v, n) => `${v} on ${n} steps`);
+
+  state.groups.filter(g => !state.steps.some(s => s.group_id === g.id))
+    .forEach(g => add('emptyGroup', 'no steps', { groupId: g.id }));
+  return findings;
+}
+
+// ============================================================
+// PANEL — toggle in the history bar, next to 🩺 Links
+// ============================================================
+
+export function runTreeLint() {
+  if (!state.assy) return;
+  report = lintTree();
+  const btn = document.getElementById('lintBtn');
+  if (btn) {
+    btn.textContent = report.length ? `🧹 ${report.length} lint` : '🧹 Lint OK';
+    btn.classList.toggle('has-issues', report.length > 0);
+  }
+  renderPanel();
+}
+
+export function buildTreeLint() {
+  const bar = document.getElementById('historyBar');
+  if (!bar || document.getElementById('lintBtn')) return;
+  const btn = document.createElement('button');
+  btn.className = 'history-btn link-check-btn';
+  btn.id = 'lintBtn';
+  btn.title = 'Tree data-quality report';
+  btn.textContent = '🧹 Lint';
+  bar.appendChild(btn);
+
+  const panel = document.createElement('div');
+  panel.id = 'lintPanel';
+  panel.className = 'history-panel link-check-panel lint-panel';
+  panel.style.display = 'none';
+  document.body.appendChild(panel);
+
+  btn.addEventListener('click', () => {
+    panel.style.display = panel.style.display === 'none' ? '' : 'none';
+    renderPanel();
+  });
+}
+
+const stepOf = id => state.steps.find(s => s.id === id);
+const groupName = id => state.groups.find(g => g.id === id)?.label || '?';
+const stepName = s => s ? (s.seq_tag ? s.seq_tag + ' ' : '') + s.label : '';
+
+function renderPanel() {
+  const panel = document.getElementById('lintPanel');
+  if (!panel || panel.style.display === 'none' || !report) return;
+  const body = Object.keys(RULES).map(rule => {
+    const rows = report.map((f, i) => [f, i]).filter(([f]) => f.rule === rule);
+    if (!rows.length) return '';
+    return `<div class="lc-section"><div class="lc-title"><span>${RULES[rule]} (${rows.length})</span></div>` + rows.map(([f, i]) =>
+      `<div class="lc-row lint-row" data-finding="${i}"><span><b>${esc(stepName(stepOf(f.stepId)) || groupName(f.groupId))}</b> ${esc(f.text)}</span></div>`).join('') + '</div>';
+  }).join('');
+
+  panel.innerHTML = '<div class="spacing-panel-header"><span>🧹 Tree lint</span><span>' +
+    (report.length ? '<button class="history-btn" id="lintExport" title="Download the report as CSV">⬇ Export</button>' : '') +
+    '<button class="spacing-close" id="lintClose">×</button></span></div>' +
+    `<div class="history-list">${body || '<div class="history-empty">No problems found</div>'}</div>`;
+  document.getElementById('lintClose').addEventListener('click', () => { panel.style.display = 'none'; });
+  document.getElementById('lintExport')?.addEventListener('click', exportReport);
+  panel.querySelectorAll('[data-finding]').forEach(el => el.addEventListener('click', () => openFinding(report[el.dataset.finding])));
+}
+
+// Select the step, then flash the part / fastener row in the detail panel
+// (or the group header for an empty group)
+function openFinding(f) {
+  if (!f) return;
+  if (f.stepId) {
+    state.setSelectedStep(f.stepId);
+    window._eagleEyeRefreshView?.();
+    window._eagleEyeUpdateDetail?.();
+    revealStep(f.stepId);
+  }
+  const sel = f.row ? `.item-row[data-${f.row.kind === 'part' ? 'pid' : 'fid'}="${f.row.id}"]`
+    : f.stepId ? null : `.group-hdr[data-gid="${f.groupId}"]`;
+  const el = sel && [...document.querySelectorAll(sel)].find(x => x.offsetParent !== null);
+  if (!el) return;
+  el.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  flashClass(el, 'lint-flash', FLASH_MS);
+}
+
+function exportReport() {
+  if (!report || !report.length) return;
+  const a = state.assy;
+  const lines = [['Rule', 'Group', 'Seq', 'Step', 'Item', 'P/N', 'Finding']].concat(report.map(f => {
+    const s = stepOf(f.stepId);
+    return [RULES[f.rule], groupName(f.groupId), s?.seq_tag || '', s?.label || '', f.row ? `${f.row.kind} #${f.row.id}` : '', f.pn || '', f.text];
+  }));
+  const csv = lines.map(r => r.map(csvCell).join(',')).join('\r\n');
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob(['\ufeff' + csv], { type: 'text/csv' }));
+  link.download = `lint_${a.tag}${a.version ? '_v' + a.version : ''}_${new Date().toISOString().slice(0, 10)}.csv`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+  showToast(`Exported ${report.length} finding${report.length > 1 ? 's' : ''}`);
+}
@@ -0,0 +1,114 @@
+// ============================================================
+// Eagle Eye Tree - Live Sync (v3.28)
+// Other users' edits arrive through watchChanges (database.js),
+// are patched into the state arrays in place, and only the open
+// view re-renders. Changed steps flash with who changed them.
+// ============================================================
+
+import * as state from './state.js';
+import { TABLES as T } from './config.js';
+import { watchChanges } from './database.js';
+import { actorName } from './auth.js';
+import { flashClass } from './ui.js';
+
+const BATCH_MS = 150;    // a renumber arrives as one UPDATE per row
+const FLASH_MS = 2500;
+const bySort = (a, b) => (a.sort_order || 0) - (b.sort_order || 0) || a.id - b.id;
+const text = v => v === null || v === undefined ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+
+let queue = [];
+let timer = null;
+
+// Which state array a table maps to, and whether a row belongs to the open assembly
+function target(table) {
+  switch (table) {
+    case T.grp: return { list: state.groups, inScope: r => r.assembly_id === state.assy?.id };
+    case T.step: return { list: state.steps, inScope: r => state.groups.some(g => g.id === r.group_id) };
+    case T.part: return { list: state.parts, inScope: r => state.steps.some(s => s.id === r.step_id) };
+    case T.fast: return { list: state.fasts, inScope: r => state.steps.some(s => s.id === r.step_id) };
+    case T.slink: return { list: state.stepLinks, inScope: r => r.assembly_id === state.assy?.id };
+    default: return null;
+  }
+}
+
+// Patch one change into state. Returns the step it touched (0 for
+// groups/links), or null when it's outside this assembly or already
+// applied — our own writes echo back and are skipped here.
+function apply({ table, type, row, old }) {
+  const t = target(table);
+  if (!t || !state.assy) return null;
+  const id = (row || old).id;
+  const at = t.list.findIndex(r => r.id === id);
+  const have = at >= 0 ? t.list[at] : null;
+
+  if (type === 'DELETE') {
+    if (!have) return null;
+    t.list.splice(at, 1);
+    if (table === T.step) state.setEcnStatus(id, null);
+    return table === T.step ? -1 : have.step_id || 0;
+  }
+  if (!t.inScope(row)) {
+    if (have) t.list.splice(at, 1);   // moved to another assembly
+    return have ? 0 : null;
+  }
+  if (have && Object.keys(row).every(k => text(have[k]) === text(row[k]))) return null;
+  if (have) Object.assign(have, row);
+  else t.list.push({ ...row });
+  if ('sort_order' in row) t.list.sort(bySort);
+  if (table === T.step) state.setEcnStatus(id, row.ecn_status);
+  return table === T.step ? id : row.step_id || 0;
+}
+
+function flush(hooks) {
+  timer = null;
+  const batch = queue;
+  queue = [];
+  const touched = new Map();   // step id → who
+  let changed = false, deleted = [];
+  batch.forEach(c => {
+    const sid = apply(c);
+    if (sid === null) return;
+    changed = true;
+    if (sid === -1) deleted.push(c.by);
+    else if (sid) touched.set(sid, c.by);
+  });
+  if (!changed) return;
+
+  if (state.selectedStepId && !state.steps.some(s => s.id === state.selectedStepId)) state.setSelectedStep(null);
+  hooks.render();
+  // Don't yank an inline edit form out from under the user
+  const typing = document.activeElement?.closest?.('#mainDetail, #sidebarDetail');
+  if (!typing && (touched.has(state.selectedStepId) || !state.selectedStepId)) hooks.renderDetail();
+  hooks.afterChange?.();
+
+  touched.forEach((by, sid) => { if (by !== actorName()) flash(sid, by); });
+  const others = deleted.filter(by => by !== actorName());
+  if (others.length) hooks.notify(`${others[0] || 'Someone'} deleted ${others.length > 1 ? others.length + ' steps' : 'a step'}`);
+}
+
+// Highlight every rendering of the step (list row, kanban card, graph node) and tag one with the name
+function flash(stepId, by) {
+  const els = document.querySelectorAll(`.step-row[data-sid="${stepId}"], .kan-card[data-sid="${stepId}"], .step-node[data-sid="${stepId}"]`);
+  let tagged = false;
+  els.forEach(el => {
+    flashClass(el, 'live-flash', FLASH_MS);
+    const box = el.getBoundingClientRect();
+    if (tagged || !box.width) return;
+    tagged = true;
+    const tag = document.createElement('div');
+    tag.className = 'live-tag';
+    tag.textContent = by || 'Someone';
+    tag.style.left = `${box.right - 4}px`;
+    tag.style.top = `${box.top - 8}px`;
+    document.body.appendChild(tag);
+    setTimeout(() => tag.remove(), FLASH_MS);
+  });
+}
+
+// hooks: { render() current view, renderDetail(), afterChange() (stats etc.), notify(msg) }
+export function startLiveSync(hooks) {
+  return watchChanges(change => {
+    queue.push(change);
+    if (!timer) timer = setTimeout(() => flush(hooks), BATCH_MS);
+  });
+}
@@ -0,0 +1,341 @@
+// ============================================================
+// Eagle Eye Tree - Schema Migrations (v3.29)
+// Versioned manifest of every table, column and function both
+// apps rely on, with the SQL that creates it. checkSchema() probes
+// the backend on startup; anything missing is listed on a blocking
+// diagnostics screen with the SQL to run in the Supabase SQL Editor.
+// No imports beyond config.js and auth.js so index.html can load it too.
+// ============================================================
+
+import { TABLES as T } from './config.js';
+import { ROLES, ROLE_PERMS } from './auth.js';
+
+// Table → the permission (auth.js ROLE_PERMS) each write needs: [insert, update, delete].
+// A version_history row is what freezes a version, but creating a version inserts one too.
+const WRITE_PERMS = [
+  [T.assy, 'freeze', 'freeze', 'freeze'],
+  [T.grp, 'edit', 'edit', 'delete'],
+  [T.step, 'edit', 'edit', 'delete'],
+  [T.part, 'edit', 'edit', 'delete'],
+  [T.fast, 'edit', 'edit', 'delete'],
+  [T.slink, 'edit', 'edit', 'delete'],
+  [T.ecnLog, 'createEcn', 'createEcn', 'delete'],
+  [T.ecnChanges, 'createEcn', 'createEcn', 'delete'],
+  [T.ecnApplied, 'applyEcn', 'applyEcn', 'delete'],
+  [T.versions, 'edit', 'freeze', 'freeze'],
+  [T.units, 'assignUnits', 'assignUnits', 'delete'],
+  [T.layouts, 'unlockLayout', 'unlockLayout', 'unlockLayout']
+];
+
+const sqlList = list => list.map(v => `'${v}'`).join(', ');
+
+// One `when` per permission, with the roles ROLE_PERMS gives it
+const canCases = () => [...new Set(Object.values(ROLE_PERMS).flat())].map(p =>
+  `    when '${p}' then eagle_eye_app_role() in (${sqlList(ROLES.filter(r => ROLE_PERMS[r].includes(p)))})`).join('\n');
+
+const writePolicies = ([table, ins, upd, del]) => `alter table ${table} enable row level security;
+drop policy if exists "read" on ${table};
+create policy "read" on ${table} for select using (true);
+drop policy if exists "role insert" on ${table};
+create policy "role insert" on ${table} for insert with check (eagle_eye_app_can('${ins}'));
+drop policy if exists "role update" on ${table};
+create policy "role update" on ${table} for update using (eagle_eye_app_can('${upd}')) with check (eagle_eye_app_can('${upd}'));
+drop policy if exists "role delete" on ${table};
+create policy "role delete" on ${table} for delete using (eagle_eye_app_can('${del}'));`;
+
+// required: false → the app degrades instead of failing (a fallback path
+// or one feature off), so the screen can be dismissed.
+export const MIGRATIONS = [
+  {
+    version: 1, name: 'Core tree tables', required: true,
+    checks: [
+      { table: T.assy, columns: ['id', 'tag', 'version', 'updated_at'] },
+      { table: T.grp, columns: ['id', 'assembly_id', 'version', 'label', 'color', 'icon', 'sort_order'] },
+      { table: T.step, columns: ['id', 'group_id', 'type', 'label', 'sort_order'] },
+      { table: T.part, columns: ['id', 'step_id', 'pn', 'qty', 'sort_order'] },
+      { table: T.fast, columns: ['id', 'step_id', 'pn', 'qty', 'torque', 'loctite', 'sort_order'] },
+      { table: T.slink, columns: ['id', 'assembly_id', 'parent_step_id', 'child_step_id'] },
+      { table: T.master, columns: ['pn', 'name', 'location'] }
+    ],
+    sql: `create table if not exists ${T.assy} (
+  id bigint generated by default as identity primary key,
+  tag text unique not null, version text, updated_at timestamptz default now()
+);
+create table if not exists ${T.grp} (
+  id bigint generated by default as identity primary key,
+  assembly_id bigint references ${T.assy} (id) on delete cascade,
+  version text, label text, color text, icon text, sort_order int default 0
+);
+create table if not exists ${T.step} (
+  id bigint generated by default as identity primary key,
+  group_id bigint references ${T.grp} (id) on delete cascade,
+  type text default 'step', label text, sort_order int default 0
+);
+create table if not exists ${T.part} (
+  id bigint generated by default as identity primary key,
+  step_id bigint references ${T.step} (id) on delete cascade,
+  pn text, qty int default 1, sort_order int default 0
+);
+create table if not exists ${T.fast} (
+  id bigint generated by default as identity primary key,
+  step_id bigint references ${T.step} (id) on delete cascade,
+  pn text, qty int default 1, torque text, loctite text, sort_order int default 0
+);
+create table if not exists ${T.slink} (
+  id bigint generated by default as identity primary key,
+  assembly_id bigint references ${T.assy} (id) on delete cascade,
+  parent_step_id bigint, child_step_id bigint
+);
+create table if not exists ${T.master} (pn text primary key, name text, location text);`
+  },
+  {
+    version: 2, name: 'Step sequence tags', required: true,
+    checks: [{ table: T.step, columns: ['seq_tag'] }],
+    sql: `alter table ${T.step} add column if not exists seq_tag text;`
+  },
+  {
+    version: 3, name: 'Step ECN status', required: true,
+    checks: [{ table: T.step, columns: ['ecn_status'] }],
+    sql: `alter table ${T.step} add column if not exists ecn_status text;`
+  },
+  {
+    version: 4, name: 'Step P/N + fastener label position', required: true,
+    checks: [{ table: T.step, columns: ['pn', 'label_position'] }],
+    sql: `alter table ${T.step} add column if not exists pn text;
+alter table ${T.step} add column if not exists label_position real;`
+  },
+  {
+    version: 5, name: 'Saved graph positions', required: true,
+    checks: [{ table: T.step, columns: ['x', 'y'] }],
+    sql: `alter table ${T.step} add column if not exists x real;
+alter table ${T.step} add column if not exists y real;`
+  },
+  {
+    version: 6, name: 'Graph layouts', required: true,
+    checks: [{ table: T.layouts, columns: ['id', 'assembly_id', 'version', 'layout_data', 'updated_by', 'updated_at'] }],
+    sql: `create table if not exists ${T.layouts} (
+  id bigint generated by default as identity primary key,
+  assembly_id bigint references ${T.assy} (id) on delete cascade,
+  version text, layout_data jsonb, updated_by text, updated_at timestamptz default now()
+);`
+  },
+  {
+    version: 7, name: 'Production units + version history', required: true,
+    checks: [
+      { table: T.units, columns: ['id', 'assembly_id', 'sn', 'version', 'latest_version', 'status', 'updated_at'] },
+      { table: T.versions, columns: ['id', 'assembly_id', 'version', 'notes', 'created_by', 'created_at'] }
+    ],
+    sql: `create table if not exists ${T.units} (
+  id bigint generated by default as identity primary key,
+  assembly_id bigint references ${T.assy} (id) on delete cascade,
+  sn text not null, version text, latest_version text, status text default 'pending',
+  assigned_to text, notes text, updated_at timestamptz default now()
+);
+create table if not exists ${T.versions} (
+  id bigint generated by default as identity primary key,
+  assembly_id bigint references ${T.assy} (id) on delete cascade,
+  version text, notes text, created_by text, created_at timestamptz default now()
+);`
+  },
+  {
+    version: 8, name: 'ECN records + applications', required: true,
+    checks: [
+      { table: T.ecnChanges, columns: ['id', 'ecn_log_id', 'step_id', 'seq_tag', 'step_name', 'change_type', 'field', 'old_value', 'new_value', 'reason', 'group_name', 'disposition', 'created_at'] },
+      { table: T.ecnApplied, columns: ['id', 'unit_sn', 'step_id', 'seq_tag', 'applied', 'applied_by', 'applied_at'] },
+      { table: T.ecnLog, columns: ['id'] }
+    ],
+    sql: `create table if not exists ${T.ecnLog} (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz default now()
+);
+create table if not exists ${T.ecnChanges} (
+  id bigint generated by default as identity primary key,
+  ecn_log_id bigint references ${T.ecnLog} (id) on delete set null,
+  step_id bigint references ${T.step} (id) on delete cascade,
+  seq_tag text, step_name text, change_type text, field text,
+  old_value text, new_value text, reason text, group_name text, disposition text,
+  created_at timestamptz default now()
+);
+create table if not exists ${T.ecnApplied} (
+  id bigint generated by default as identity primary key,
+  unit_sn text not null, step_id bigint, seq_tag text,
+  applied boolean default false, applied_by text, applied_at timestamptz
+);`
+  },
+  {
+    version: 9, name: 'Atomic sort_order renumber', required: false,
+    note: 'Without it reorders fall back to one update per row.',
+    checks: [{ rpc: 'eagle_eye_app_renumber', args: { p_table: T.step, p_ids: [] } }],
+    sql: `create or replace function eagle_eye_app_renumber(p_table text, p_ids bigint[])
+returns void language plpgsql as $$
+begin
+  if p_table not in ('${T.grp}', '${T.step}', '${T.part}', '${T.fast}') then
+    raise exception 'eagle_eye_app_renumber: table % not allowed', p_table;
+  end if;
+  execute format(
+    'update %I t set sort_order = o.ord from unnest($1) with ordinality as o(id, ord) where t.id = o.id',
+    p_table
+  ) using p_ids;
+end;
+$$;
+grant execute on function eagle_eye_app_renumber(text, bigint[]) to anon, authenticated;`
+  },
+  {
+    version: 10, name: 'Audit trail', required: false,
+    note: 'Without it edits save but leave no history.',
+    checks: [{ table: T.audit, columns: ['id', 'assembly_id', 'step_id', 'entity', 'entity_id', 'action', 'field', 'old_value', 'new_value', 'actor', 'created_at'] }],
+    sql: `create table if not exists ${T.audit} (
+  id bigint generated by default as identity primary key,
+  assembly_id bigint, step_id bigint,
+  entity text not null, entity_id bigint, action text not null,
+  field text, old_value text, new_value text, actor text,
+  created_at timestamptz not null default now()
+);
+create index if not exists ${T.audit}_assy_idx on ${T.audit} (assembly_id, created_at desc);
+create index if not exists ${T.audit}_step_idx on ${T.audit} (step_id, created_at desc);
+alter table ${T.audit} enable row level security;
+drop policy if exists "audit read" on ${T.audit};
+create policy "audit read"   on ${T.audit} for select using (true);
+drop policy if exists "audit append" on ${T.audit};
+create policy "audit append" on ${T.audit} for insert with check (true);`
+  },
+  {
+    version: 11, name: 'Users + roles', required: false,
+    note: 'Without it nobody can sign in, so everyone is a viewer.',
+    checks: [
+      { table: T.users, columns: ['id', 'display_name', 'role'] },
+      { rpc: 'eagle_eye_app_role', args: {} }
+    ],
+    sql: `create table if not exists ${T.users} (
+  id uuid primary key references auth.users (id) on delete cascade,
+  display_name text not null,
+  role text not null default 'viewer' check (role in (${sqlList(ROLES)})),
+  created_at timestamptz not null default now()
+);
+alter table ${T.users} enable row level security;
+drop policy if exists "users read" on ${T.users};
+create policy "users read" on ${T.users} for select using (auth.role() = 'authenticated');
+create or replace function eagle_eye_app_role() returns text
+language sql stable security definer set search_path = public as $$
+  select coalesce((select role from ${T.users} where id = auth.uid()), 'viewer');
+$$;`
+  },
+  {
+    version: 12, name: 'Edit conflict detection', required: false,
+    note: 'Without it concurrent edits overwrite each other silently.',
+    checks: [T.grp, T.step, T.part, T.fast].map(table => ({ table, columns: ['updated_at', 'updated_by'] })),
+    // updated_at is stamped by the server on every update, whatever the client sent — the
+    // live feeds page on it, and a client clock running behind would hide its saves
+    sql: `create or replace function eagle_eye_app_touch() returns trigger
+language plpgsql as $$
+begin
+  new.updated_at := now();
+  return new;
+end $$;
+` + [T.grp, T.step, T.part, T.fast].map(table =>
+      `alter table ${table} add column if not exists updated_at timestamptz default now(), add column if not exists updated_by text;
+drop trigger if exists ${table}_touch on ${table};
+create trigger ${table}_touch before update on ${table} for each row execute function eagle_eye_app_touch();`).join('\n')
+  },
+  {
+    version: 13, name: 'Role-checked writes', required: false,
+    note: 'Without it roles are only a UI check — anyone with the anon key can write. Needs migration 11.',
+    checks: [{ rpc: 'eagle_eye_app_can', args: { p_perm: 'edit' } }],
+    sql: `-- Generated from ROLE_PERMS in js/auth.js: after changing it, run this again
+create or replace function eagle_eye_app_can(p_perm text) returns boolean
+language sql stable security definer set search_path = public as $$
+  select case p_perm
+${canCases()}
+    else false
+  end;
+$$;
+grant execute on function eagle_eye_app_can(text) to anon, authenticated;
+${WRITE_PERMS.map(writePolicies).join('\n')}`
+  },
+  {
+    version: 14, name: 'Live sync feed', required: false,
+    note: 'Without it other users\' edits only show up after a reload.',
+    checks: [{ rpc: 'eagle_eye_app_live_tables', args: {} }],
+    // The tables watchChanges (database.js) subscribes to. Realtime only sends changes
+    // for tables in its publication, and a DELETE carries just the id without replica identity full.
+    sql: `do $$
+declare t text;
+begin
+  foreach t in array array['${[T.grp, T.step, T.part, T.fast, T.slink, T.audit].join("', '")}'] loop
+    execute format('alter table %I replica identity full', t);
+    if not exists (select 1 from pg_publication_tables where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = t) then
+      execute format('alter publication supabase_realtime add table %I', t);
+    end if;
+  end loop;
+end $$;
+create or replace function eagle_eye_app_live_tables() returns setof text
+language sql stable security definer set search_path = public as $$
+  select p.tablename::text from pg_publication_tables p
+  join pg_class c on c.relname = p.tablename and c.relnamespace = 'public'::regnamespace
+  where p.pubname = 'supabase_realtime' and p.schemaname = 'public' and c.relreplident = 'f';
+$$;
+grant execute on function eagle_eye_app_live_tables() to anon, authenticated;`
+  },
+  {
+    version: 15, name: 'Step standard times', required: false,
+    note: 'Without it step times and headcounts can\'t be saved.',
+    checks: [{ table: T.step, columns: ['std_time', 'headcount'] }],
+    sql: `alter table ${T.step} add column if not exists std_time real check (std_time >= 0);
+alter table ${T.step} add column if not exists headcount int check (headcount > 0);`
+  },
+  {
+    version: 16, name: 'Torque spec table', required: false,
+    note: 'Without it fasteners get no torque pre-fill or off-spec check. Needs migration 13.',
+    checks: [{ table: T.torqueSpecs, columns: ['id', 'family', 'size', 'material', 'torque_nm', 'tolerance_pct', 'notes', 'updated_at'] }],
+    sql: `create table if not exists ${T.torqueSpecs} (
+  id bigint generated by default as identity primary key,
+  family text not null, size real not null, material text not null default '',
+  torque_nm real not null check (torque_nm > 0), tolerance_pct real not null default 10 check (tolerance_pct >= 0),
+  notes text, updated_at timestamptz default now(),
+  unique (family, size, material)
+);
+${writePolicies([T.torqueSpecs, 'edit', 'edit', 'delete'])}`
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const TABLE_MISSING = /PGRST205|42P01|Could not find the table|relation .* does not exist/i;
+const RPC_MISSING = /PGRST202|Could not find the function/i;
+const describe = e => `${e.code || ''} ${e.message || e}`;
+
+// Names the check finds missing: [] | ['table'] | ['table.column', …] | ['fn()']
+async function missingFor(probe, check) {
+  if (check.rpc) {
+    const err = await probe.rpc(check.rpc, check.args);
+    if (err && RPC_MISSING.test(describe(err))) return [`${check.rpc}()`];
+    if (err && !/permission|violates|not allowed/i.test(describe(err))) throw new Error(describe(err));
+    return [];
+  }
+  const err = await probe.columns(check.table, check.columns.join(','));
+  if (!err) return [];
+  if (TABLE_MISSING.test(describe(err))) return [check.table];
+  // One probe per column to list all of them, not just the first PostgREST names
+  const each = await Promise.all(check.columns.map(c => probe.columns(check.table, c)));
+  const cols = check.columns.filter((c, i) => each[i]);
+  if (!cols.length) throw new Error(describe(err));
+  return cols.map(c => `${check.table}.${c}`);
+}
+
+// probe: { columns(table, 'a,b') → error | null, rpc(name, args) → error | null }.
+// Resolves [{ migration, missing: ['table', 'table.column', 'fn()'] }] for every
+// migration that isn't fully applied; throws on errors that aren't about the schema
+// (offline, auth) so the caller can skip the check rather than block on it.
+// Every probe goes out at once — one round trip at startup, not one per check.
+export async function checkSchema(probe) {
+  const results = await Promise.all(MIGRATIONS.map(async migration => {
+    const missing = (await Promise.all(migration.checks.map(check => missingFor(probe, check)))).flat();
+    return missing.length ? { migration, missing } : null;
+  }));
+  return results.filter(Boolean);
+}
+
+// One script for everything missing, in version order (every statement is re-runnable)
+export function missingSql(report) {
+  return report.map(({ migration: m }) => `-- ${String(m.version).padStart(3, '0')} ${m.name}\n${m.sql}`).join('\n\n');
+}
@@ -0,0 +1,124 @@
+// ============================================================
+// Eagle Eye Tree - Offline Cache + Outbox (v3.17)
+// Last loaded assembly is cached in IndexedDB so the app can
+// render without a connection. Writes that can't reach the
+// backend go into a durable outbox and replay on 'online'.
+// ============================================================
+
+import { idbGet, idbSet } from './idb.js';
+
+const OUTBOX_KEY = 'outbox';
+const cacheKey = tag => `cache:assy:${tag}`;
+
+let outbox = null;        // [{ id, kind, table, match, patch, label, attempts, status, error }]
+let flushing = false;
+const listeners = [];
+
+// supabase-js reports dropped connections as fetch TypeErrors, not HTTP errors
+export function isNetworkError(error) {
+  if (!navigator.onLine) return true;
+  const msg = (error && (error.message || String(error))) || '';
+  return /failed to fetch|networkerror|network request failed|load failed/i.test(msg);
+}
+
+// ============================================================
+// ASSEMBLY CACHE
+// ============================================================
+
+export function cacheAssembly(tag, data) {
+  return idbSet(cacheKey(tag), { data, cachedAt: new Date().toISOString() }).catch(e => console.warn('cache write:', e.message));
+}
+
+export async function getCachedAssembly(tag) {
+  try { return (await idbGet(cacheKey(tag))) || null; } catch (e) { return null; }
+}
+
+export function cacheAssemblyList(list) { return idbSet('cache:assemblies', list).catch(() => {}); }
+export async function getCachedAssemblyList() {
+  try { return (await idbGet('cache:assemblies')) || []; } catch (e) { return []; }
+}
+
+// ============================================================
+// OUTBOX
+// ============================================================
+
+async function loadOutbox() {
+  if (outbox) return outbox;
+  try { outbox = (await idbGet(OUTBOX_KEY)) || []; } catch (e) { outbox = []; }
+  return outbox;
+}
+
+async function saveOutbox() {
+  try { await idbSet(OUTBOX_KEY, outbox); } catch (e) { console.warn('outbox write:', e.message); }
+  notify();
+}
+
+function notify() {
+  const counts = outboxCounts();
+  listeners.forEach(fn => fn(counts));
+}
+
+export function onOutboxChange(fn) { listeners.push(fn); fn(outboxCounts()); }
+
+export function outboxCounts() {
+  const list = outbox || [];
+  return { pending: list.filter(o => o.status === 'pending').length, failed: list.filter(o => o.status === 'failed').length };
+}
+
+export function pendingOps() { return (outbox || []).filter(o => o.status === 'pending'); }
+
+export function hasPending() { return !!outbox && outbox.some(o => o.status === 'pending'); }
+
+// kind 'update' (match + patch) or 'insert' (patch holds the rows)
+export async function enqueue(table, match, patch, label, kind = 'update') {
+  await loadOutbox();
+  outbox.push({ id: Date.now() + Math.random(), kind, table, match, patch, label, attempts: 0, status: 'pending', error: null });
+  await saveOutbox();
+}
+
+// Replay pending ops in order. Stops at the first network failure (still offline);
+// ops the server rejects are marked failed so they don't block the rest.
+export async function flushOutbox(send) {
+  await loadOutbox();
+  if (flushing || !navigator.onLine) return outboxCounts();
+  flushing = true;
+  let sent = 0;
+  try {
+    for (const op of outbox.filter(o => o.status === 'pending')) {
+      op.attempts++;
+      const { data, error } = await send(op);
+      if (error && isNetworkError(error)) break;
+      if (error) { op.status = 'failed'; op.error = error.message; console.error(`outbox ${op.label}:`, error.message); }
+      else { outbox = outbox.filter(o => o !== op); sent++; restamp(op, data); }
+    }
+  } finally {
+    flushing = false;
+    await saveOutbox();
+  }
+  return { sent, ...outboxCounts() };
+}
+
+// A queued edit is guarded on the updated_at the edit before it was queued with, but the
+// server stamps its own (migration 12): point later ops on the same row at that one.
+function restamp(op, rows) {
+  const row = op.kind === 'update' && rows?.[0];
+  if (!row?.updated_at || !op.patch.updated_at) return;
+  outbox.forEach(o => {
+    if (o.status === 'pending' && o.table === op.table && o.match?.id === op.match.id && o.match.updated_at === op.patch.updated_at) o.match.updated_at = row.updated_at;
+  });
+}
+
+// Put failed ops back in the queue (e.g. after fixing the row on the server)
+export async function retryFailed() {
+  await loadOutbox();
+  outbox.forEach(o => { if (o.status === 'failed') { o.status = 'pending'; o.error = null; } });
+  await saveOutbox();
+}
+
+export async function discardFailed() {
+  await loadOutbox();
+  outbox = outbox.filter(o => o.status !== 'failed');
+  await saveOutbox();
+}
+
+export async function initOutbox() { await loadOutbox(); notify(); }
@@ -0,0 +1,41 @@
+// ============================================================
+// Eagle Eye Tree - Hash Router (v3.6)
+// #/assy/<tag>/<view>[/step/<id>][/groups/<id,id>]
+// ============================================================
+
+export const DEFAULT_ASSY = 'HBD_assy';
+export const VIEWS = ['list', 'graph', 'kanban'];
+
+// Parse a location hash into a route. Unknown or missing parts fall back to defaults.
+export function parseHash(hash = window.location.hash) {
+  const parts = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  const route = { assy: null, view: 'list', step: null, groups: null };
+
+  for (let i = 0; i < parts.length; i++) {
+    const key = parts[i], val = parts[i + 1];
+    if (key === 'assy' && val) { route.assy = val; i++; if (VIEWS.includes(parts[i + 1])) { route.view = parts[i + 1]; i++; } }
+    else if (key === 'step' && val) { route.step = parseInt(val) || null; i++; }
+    else if (key === 'groups' && val) {
+      const ids = val.split(',').map(x => parseInt(x)).filter(x => !isNaN(x));
+      route.groups = ids.length ? ids : null; i++;
+    }
+  }
+  return route;
+}
+
+export function buildHash(route) {
+  if (!route.assy) return '';
+  let h = `#/assy/${encodeURIComponent(route.assy)}/${route.view || 'list'}`;
+  if (route.step) h += `/step/${route.step}`;
+  if (route.groups && route.groups.length) h += `/groups/${route.groups.join(',')}`;
+  return h;
+}
+
+// Write the route without firing hashchange. `push` adds a history entry (assembly switches),
+// otherwise the current entry is replaced so selections don't flood the back button.
+export function writeRoute(route, push = false) {
+  const hash = buildHash(route);
+  if (!hash || hash === window.location.hash) return;
+  if (push) history.pushState(null, '', hash);
+  else history.replaceState(null, '', hash);
+}
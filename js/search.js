@@ -0,0 +1,257 @@
+// ============================================================
+// Eagle Eye Tree - Global Search (v3.30)
+// One query over every assembly: free text (label, seq tag, any
+// P/N) plus qualifiers — pn: type: ecn: loc: torque: group: assy:
+// — all ANDed. Values can be quoted ("Arm base"); torque takes
+// > >= < <= = and a unit (a bare number is in the display unit).
+// The open assembly is searched live from state, the others from
+// an index loaded on first use and refreshed after INDEX_TTL.
+// Results drop down under #searchInput; ↑/↓ + Enter (or a click)
+// opens the step.
+// ============================================================
+
+import * as state from './state.js';
+import { loadAllAssemblyTrees } from './database.js';
+import { parseTorque, torqueNm, formatTorque, displayUnit } from './torque.js';
+import { esc } from './ui.js';
+
+const INDEX_TTL = 5 * 60 * 1000;
+const MAX_RESULTS = 50;
+const KEYS = { pn: 'P/N', type: 'type', ecn: 'ECN', loc: 'loc', torque: 'torque', group: 'group', assy: 'assy' };
+const NUMERIC = { torque: true };
+const TOKEN = /(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+const OP = /^(>=|<=|>|<|=)/;
+
+// 'pn:CBE6 torque:>20 bracket' → { terms: ['bracket'], filters: [{ key, op, value, num }] }.
+// Unknown qualifiers stay free text, so a P/N with a colon still searches.
+export function parseQuery(text) {
+  const q = { terms: [], filters: [] };
+  for (const m of String(text || '').matchAll(TOKEN)) {
+    const key = m[1] && m[1].toLowerCase();
+    let value = (m[2] ?? m[3] ?? '').trim();
+    if (!KEYS[key]) {
+      value = (m[1] ? m[1] + ':' : '') + value;
+      if (value) q.terms.push(value.toLowerCase());
+      continue;
+    }
+    const op = (NUMERIC[key] && value.match(OP)?.[1]) || null;
+    if (op) value = value.slice(op.length).trim();
+    if (!value) continue;
+    // A bare number is in the display unit; '20Nm' / '200kgf·cm' say their own
+    const t = NUMERIC[key] ? parseTorque(value, displayUnit()) : null;
+    const num = t && !t.error ? t.nm : null;
+    q.filters.push({ key, op, value: value.toLowerCase(), num });
+  }
+  return q;
+}
+
+const isEmpty = q => !q.terms.length && !q.filters.length;
+
+// ============================================================
+// MATCHING — an entry is one step with everything a qualifier can look at
+// ============================================================
+
+// step id → its rows, in one pass — assemblies run to thousands of steps
+function byStep(rows) {
+  const out = new Map();
+  rows.forEach(r => { const list = out.get(r.step_id); if (list) list.push(r); else out.set(r.step_id, [r]); });
+  return out;
+}
+
+function entriesOf(tree, lookup) {
+  const groups = new Map(tree.groups.map(g => [g.id, g]));
+  const partsOf = byStep(tree.parts), fastsOf = byStep(tree.fasts);
+  return tree.steps.map(s => {
+    const parts = partsOf.get(s.id) || [], fasts = fastsOf.get(s.id) || [];
+    const pns = [s.pn, ...parts.map(p => p.pn), ...fasts.map(f => f.pn)].filter(Boolean);
+    return { assy: tree.assy, group: groups.get(s.group_id) || null, step: s, parts, fasts, pns, lookup };
+  });
+}
+
+const FIELDS = {
+  pn: e => e.pns,
+  type: e => [e.step.type || 'step'],
+  ecn: e => [e.step.ecn_status],
+  loc: e => e.pns.map(pn => e.lookup(pn).location),
+  torque: e => e.fasts.map(f => f.torque),
+  group: e => [e.group?.label],
+  assy: e => [e.assy.tag]
+};
+
+const round3 = n => Math.round(n * 1000) / 1000;
+
+function compare(op, a, b) {
+  return op === '>' ? a > b : op === '>=' ? a >= b : op === '<' ? a < b : op === '<=' ? a <= b : a === b;
+}
+
+// The first value the filter accepts, or undefined
+function firstHit(f, values) {
+  return values.filter(v => v !== null && v !== undefined && v !== '').find(v => {
+    if (f.num !== null) { const n = torqueNm(v); return n !== null && compare(f.op, round3(n), round3(f.num)); }
+    return f.op === '=' ? String(v).toLowerCase() === f.value : String(v).toLowerCase().includes(f.value);
+  });
+}
+
+// null, or { label: needles to mark in the label, hits: [{ key, value, needle }] }
+function matchEntry(q, e) {
+  const res = { label: [], hits: [] };
+  for (const f of q.filters) {
+    const v = firstHit(f, FIELDS[f.key](e));
+    if (v === undefined) return null;
+    res.hits.push({ key: f.key, value: f.num !== null ? formatTorque(v) : v, needle: f.num !== null ? null : f.value });
+  }
+  for (const t of q.terms) {
+    if ((e.step.label || '').toLowerCase().includes(t)) { res.label.push(t); continue; }
+    const v = firstHit({ key: 'pn', op: null, value: t, num: null }, [e.step.seq_tag, ...e.pns]);
+    if (v === undefined) return null;
+    res.hits.push({ key: v === e.step.seq_tag ? 'seq' : 'pn', value: v, needle: t });
+  }
+  return res;
+}
+
+// Predicate over the open assembly's steps for the list view (null when the box is empty)
+export function stepMatcher(text) {
+  const q = parseQuery(text);
+  if (isEmpty(q) || !state.assy) return null;
+  const byId = new Map(entriesOf(state, state.lookup).map(e => [e.step.id, e]));
+  return step => { const e = byId.get(step.id); return !!e && !!matchEntry(q, e); };
+}
+
+// ============================================================
+// INDEX — every other assembly, loaded once per INDEX_TTL
+// ============================================================
+
+let index = null;      // { at, entries }
+let loading = null;
+
+const fresh = () => !!index && Date.now() - index.at < INDEX_TTL;
+
+function loadIndex() {
+  if (fresh()) return Promise.resolve(index);
+  loading = loading || loadAllAssemblyTrees()
+    .then(({ trees, masterMap }) => {
+      const lookup = pn => masterMap[pn] || { name: null, location: null };
+      index = { at: Date.now(), entries: trees.flatMap(t => entriesOf(t, lookup)) };
+      return index;
+    })
+    .catch(e => { console.error('search index:', e.message); return index; })
+    .finally(() => { loading = null; });
+  return loading;
+}
+
+// { results: [{ entry, match }], total, pending } — the open assembly first, then by assy / group / step order.
+// pending: the index is (re)loading, so other assemblies may be missing or stale.
+export function searchAll(text) {
+  const q = parseQuery(text);
+  if (isEmpty(q)) return { results: [], total: 0, pending: false };
+  const pending = !fresh();
+  if (pending) loadIndex();
+  const live = state.assy ? entriesOf(state, state.lookup) : [];
+  const others = (index?.entries || []).filter(e => e.assy.id !== state.assy?.id);
+  const rank = e => [e.assy.id === state.assy?.id ? 0 : 1, e.assy.tag, e.group?.sort_order || 0, e.step.sort_order || 0];
+  const all = live.concat(others).map(entry => ({ entry, match: matchEntry(q, entry) })).filter(r => r.match)
+    .sort((a, b) => {
+      const ra = rank(a.entry), rb = rank(b.entry);
+      return ra[0] - rb[0] || ra[1].localeCompare(rb[1]) || ra[2] - rb[2] || ra[3] - rb[3];
+    });
+  return { results: all.slice(0, MAX_RESULTS), total: all.length, pending };
+}
+
+// ============================================================
+// DROPDOWN
+// ============================================================
+
+function mark(text, needles) {
+  const s = String(text ?? '');
+  const ranges = [];
+  needles.filter(Boolean).forEach(n => {
+    const lower = s.toLowerCase();
+    for (let i = lower.indexOf(n); i >= 0; i = lower.indexOf(n, i + n.length)) ranges.push([i, i + n.length]);
+  });
+  if (!ranges.length) return esc(s);
+  ranges.sort((a, b) => a[0] - b[0]);
+  let out = '', at = 0;
+  ranges.forEach(([from, to]) => {
+    if (to <= at) return;
+    out += esc(s.slice(at, Math.max(at, from))) + '<mark>' + esc(s.slice(Math.max(at, from), to)) + '</mark>';
+    at = to;
+  });
+  return out + esc(s.slice(at));
+}
+
+function rowHtml({ entry: e, match }, i, active) {
+  const hits = match.hits.map(h => `<span class="gs-hit">${esc(KEYS[h.key] || h.key)} ${h.needle ? mark(h.value, [h.needle]) : '<mark>' + esc(h.value) + '</mark>'}</span>`).join('');
+  return `<div class="gs-row${i === active ? ' active' : ''}" data-i="${i}">` +
+    `<span class="gs-assy">${esc(e.assy.tag)}</span>` +
+    (e.step.seq_tag ? `<span class="gs-seq">${esc(e.step.seq_tag)}</span>` : '') +
+    `<span class="gs-label">${mark(e.step.label, match.label)}</span>` +
+    `<span class="gs-group">${esc(e.group ? (e.group.icon ? e.group.icon + ' ' : '') + e.group.label : '')}</span>${hits}</div>`;
+}
+
+// openStep(tag, stepId) navigates; app.js owns assembly switching and views
+export function buildGlobalSearch(openStep) {
+  const input = document.getElementById('searchInput');
+  if (!input || document.getElementById('globalSearch')) return;
+  input.placeholder = 'Search all assemblies — pn: type: ecn: loc: torque:>20 group:';
+  const drop = document.createElement('div');
+  drop.id = 'globalSearch';
+  drop.className = 'gs-drop';
+  drop.style.display = 'none';
+  document.body.appendChild(drop);
+
+  let found = { results: [] }, active = 0;
+  const close = () => { drop.style.display = 'none'; };
+
+  const render = () => {
+    found = searchAll(input.value);
+    if (!input.value.trim()) { close(); return; }
+    active = Math.min(active, Math.max(0, found.results.length - 1));
+    const r = input.getBoundingClientRect();
+    drop.style.left = r.left + 'px';
+    drop.style.top = r.bottom + 4 + 'px';
+    drop.style.minWidth = r.width + 'px';
+    drop.innerHTML = (found.results.length ? found.results.map((x, i) => rowHtml(x, i, active)).join('') : '<div class="history-empty">No matches</div>') +
+      (found.total > found.results.length ? `<div class="gs-foot">${found.total - found.results.length} more — narrow the search</div>` : '') +
+      (found.pending ? '<div class="gs-foot">Searching the other assemblies…</div>' : '');
+    drop.style.display = '';
+  };
+
+  const pick = i => {
+    const r = found.results[i];
+    if (!r) return;
+    close();
+    input.blur();
+    openStep(r.entry.assy.tag, r.entry.step.id);
+  };
+
+  input.addEventListener('input', () => {
+    active = 0;
+    render();
+    if (found.pending) loadIndex().then(() => { if (drop.style.display !== 'none') render(); });
+  });
+  input.addEventListener('focus', () => { if (input.value.trim()) render(); });
+  input.addEventListener('keydown', e => {
+    if (drop.style.display === 'none') return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const n = found.results.length;
+      if (!n) return;
+      active = (active + (e.key === 'ArrowDown' ? 1 : n - 1)) % n;
+      drop.querySelectorAll('.gs-row').forEach(el => el.classList.toggle('active', Number(el.dataset.i) === active));
+      drop.querySelector('.gs-row.active')?.scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      pick(active);
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  });
+  // mousedown so the pick lands before the input's blur closes the list
+  drop.addEventListener('mousedown', e => {
+    const row = e.target.closest('.gs-row');
+    if (!row) return;
+    e.preventDefault();
+    pick(Number(row.dataset.i));
+  });
+  input.addEventListener('blur', close);
+}
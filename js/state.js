@@ -1,8 +1,10 @@
 // ============================================================
-// Eagle Eye Tree - Shared State (v3.5)
-// ECN persistence, cascade, step P/N
+// Eagle Eye Tree - Shared State (v3.23)
+// ECN persistence, cascade, step P/N, step timing, line balance
 // ============================================================
 
+import { criticalPath } from './links.js';
+
 export let assy = null;
 export let groups = [];
 export let steps = [];
@@ -10,11 +12,13 @@ export let parts = [];
 export let fasts = [];
 export let stepLinks = [];
 export let masterMap = {};
+export let masterCount = null;   // true size of master_parts_list_all (masterMap only holds P/Ns in use)
 
 export function setData(data) {
   assy = data.assy; groups = data.groups; steps = data.steps;
   parts = data.parts; fasts = data.fasts;
-  stepLinks = data.stepLinks; masterMap = data.masterMap;
+  stepLinks = data.stepLinks; masterMap = data.masterMap || {};
+  masterCount = data.masterCount ?? null;
 
   // Restore ECN state from DB
   ecnChanges = {};
@@ -23,6 +27,8 @@ export function setData(data) {
   });
 }
 export function setStepLinks(links) { stepLinks = links; }
+export function setParts(list) { parts = list; }
+export function setFasts(list) { fasts = list; }
 
 // Selected step
 export let selectedStepId = null;
@@ -97,6 +103,24 @@ export function getEcnAffectedSteps() {
   return affected;
 }
 
+// ============================================================
+// TIMING — standard times (std_time, minutes) over stepLinks
+// ============================================================
+// { timing: Map id → { es, ef, ls, lf, slack }, makespan, critical, criticalLinks,
+//   cyclic, work (Σ std_time), labor (Σ std_time × headcount), timed (steps with a time) }
+export function getTiming() {
+  var byId = new Map(steps.map(function(s) { return [s.id, s]; }));
+  var cp = criticalPath(steps.map(function(s) { return s.id; }), function(id) { return byId.get(id).std_time || 0; }, stepLinks);
+  cp.work = 0; cp.labor = 0; cp.timed = 0;
+  steps.forEach(function(s) {
+    if (!s.std_time) return;
+    cp.timed++;
+    cp.work += s.std_time;
+    cp.labor += s.std_time * (s.headcount || 1);
+  });
+  return cp;
+}
+
 // ============================================================
 // VIEW SETTINGS
 // ============================================================
@@ -108,6 +132,9 @@ export let layoutDirty = false;
 export let gap1 = 300;
 export let gap2 = 240;
 export let visibleGroupIds = null;
+export let showStepLinks = true;
+export let graphMode = 'swimlane';   // 'swimlane' | 'flow' (precedence network from stepLinks) | 'balance'
+export let lineBalance = null;       // { takt, stations, assign: Map step id → station index } (balance.js)
 
 export function setShowSequenceNumbers(v) { showSequenceNumbers = v; }
 export function setShowLevelHeaders(v) { showLevelHeaders = v; }
@@ -117,6 +144,10 @@ export function setLayoutDirty(v) { layoutDirty = v; }
 export function setGap1(v) { gap1 = v; }
 export function setGap2(v) { gap2 = v; }
 export function setVisibleGroupIds(ids) { visibleGroupIds = ids; }
+export function setShowStepLinks(v) { showStepLinks = v; }
+export function setGraphMode(m) { graphMode = m; }
+export function setLineBalance(b) { lineBalance = b; }
 
 // Lookup
+export function mergeMasterMap(map) { Object.assign(masterMap, map); }
 export function lookup(pn) { return masterMap[pn] || { name: null, location: null }; }
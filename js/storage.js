@@ -0,0 +1,350 @@
+// ============================================================
+// Eagle Eye Tree - Storage Adapters (v3.18)
+// One interface, two backends: Supabase (production) and a
+// local in-memory store seeded from data/seed.json and kept in
+// IndexedDB (demos, training, offline testing).
+//
+// Every method resolves to { data, error } like supabase-js:
+//   listAssemblies()                         → [{ id, tag, version }]
+//   loadAssembly(tag)                        → { assy, groups, steps, parts, fasts, stepLinks }
+//   lookupMaster(pns)                        → [{ pn, name, location }] for the given P/Ns
+//   countMaster()                            → exact row count of the master list
+//   searchMaster(query, limit)               → master rows whose P/N starts with or name contains query
+//   select(table, match, { columns, order, desc, limit })
+//   insert(table, rows)                      → inserted rows
+//   update(table, match, patch)              → updated rows (none = nothing matched)
+//   remove(table, match)
+//   renumber(table, ids)                     sort_order = 1..n in the given id order
+//   createLinks(links)
+//   probeColumn(table, columns)              → error if the table or a column is missing
+//   probeRpc(name, args)                     → error if the function is missing
+//   subscribe(tables, onChange)              → unsubscribe(); onChange({ table, type, row, old, by })
+//                                              for other clients' INSERT / UPDATE / DELETE
+// `match` is { col: value }, { col: [values] } (IN filter) or { col: null } (IS NULL).
+// Long IN filters are chunked and fetched in parallel on Supabase.
+// ============================================================
+
+import { SUPABASE_URL, SUPABASE_ANON_KEY, TABLES as T, LOCAL_SEED_URL } from './config.js';
+import { idbGet, idbSet, idbDelete } from './idb.js';
+import { accessToken, actorName, onSessionRefresh } from './auth.js';
+
+const LOCAL_KEY = 'local-tables';
+const RENUMBER_RPC = 'eagle_eye_app_renumber';   // migration 9 (migrations.js)
+const LIVE_TABLES_RPC = 'eagle_eye_app_live_tables';   // migration 14
+const IN_CHUNK = 100;   // values per IN filter — keeps request URLs well under proxy limits
+const LIVE_CHANNEL = 'eagle-eye-live';   // change feed name: realtime channel, and the local store's tab bus (index.html uses it too)
+const bySort = (a, b) => (a.sort_order || 0) - (b.sort_order || 0);
+
+// ============================================================
+// SUPABASE
+// ============================================================
+
+function createSupabaseStore() {
+  if (typeof supabase === 'undefined') throw new Error('Supabase client script not loaded — use ?store=local');
+  // Requests carry the signed-in user's JWT so row-level security sees their role. It's read
+  // per request: auth.js renews the session while the page stays open.
+  const authedFetch = (url, init = {}) => {
+    const headers = new Headers(init.headers);
+    const token = accessToken();
+    if (token) headers.set('Authorization', `Bearer ${token}`);
+    return fetch(url, { ...init, headers });
+  };
+  const db = supabase.createClient(SUPABASE_URL, SUPABASE_ANON_KEY, { global: { fetch: authedFetch } });
+  const token = accessToken();
+  if (token) db.realtime.setAuth(token);
+  onSessionRefresh(session => db.realtime.setAuth(session.access_token));
+
+  function applyMatch(q, match) {
+    Object.entries(match || {}).forEach(([col, val]) => { q = Array.isArray(val) ? q.in(col, val) : val === null ? q.is(col, null) : q.eq(col, val); });
+    return q;
+  }
+
+  // Split the first oversized IN filter of `match` into IN_CHUNK-sized matches
+  function chunkMatch(match) {
+    const col = Object.keys(match || {}).find(k => Array.isArray(match[k]) && match[k].length > IN_CHUNK);
+    if (!col) return [match];
+    const out = [];
+    for (let i = 0; i < match[col].length; i += IN_CHUNK) out.push({ ...match, [col]: match[col].slice(i, i + IN_CHUNK) });
+    return out;
+  }
+
+  // Run `fn(match)` per chunk in parallel and merge rows back in `order` (cut to `limit`); any failed chunk fails the call
+  async function inChunks(match, fn, { order, desc, limit } = {}) {
+    const chunks = chunkMatch(match);
+    const res = await Promise.all(chunks.map(fn));
+    const bad = res.findIndex(r => r.error);
+    if (bad >= 0) {
+      const msg = chunks.length > 1 ? `chunk ${bad + 1}/${chunks.length} failed — ${res[bad].error.message}` : res[bad].error.message;
+      return { data: null, error: { ...res[bad].error, message: msg } };
+    }
+    const data = res.flatMap(r => r.data || []);
+    if (order && chunks.length > 1) data.sort((a, b) => (a[order] > b[order] ? 1 : a[order] < b[order] ? -1 : 0) * (desc ? -1 : 1));
+    return { data: limit && chunks.length > 1 ? data.slice(0, limit) : data, error: null };
+  }
+
+  function select(table, match, opts = {}) {
+    return inChunks(match, m => {
+      let q = applyMatch(db.from(table).select(opts.columns || '*'), m);
+      if (opts.order) q = q.order(opts.order, { ascending: !opts.desc });
+      if (opts.limit) q = q.limit(opts.limit);
+      return q;
+    }, opts);
+  }
+
+  return {
+    kind: 'supabase',
+    db,
+
+    listAssemblies() { return db.from(T.assy).select('id,tag,version').order('id'); },
+
+    async loadAssembly(tag) {
+      const { data: assy, error: ae } = await db.from(T.assy).select('*').eq('tag', tag).single();
+      if (ae || !assy) return { data: null, error: { message: ae?.message || `Assembly ${tag} not found` } };
+
+      const { data: groups, error: ge } = await db.from(T.grp).select('*').eq('assembly_id', assy.id).order('sort_order');
+      if (ge) return { data: null, error: { ...ge, message: `groups: ${ge.message}` } };
+      const gids = (groups || []).map(g => g.id);
+      let steps = [], parts = [], fasts = [];
+      if (gids.length) {
+        const s = await select(T.step, { group_id: gids }, { order: 'sort_order' });
+        if (s.error) return { data: null, error: { ...s.error, message: `steps: ${s.error.message}` } };
+        steps = s.data;
+        const sids = steps.map(x => x.id);
+        if (sids.length) {
+          const [p, f] = await Promise.all([
+            select(T.part, { step_id: sids }, { order: 'sort_order' }),
+            select(T.fast, { step_id: sids }, { order: 'sort_order' })
+          ]);
+          if (p.error || f.error) return { data: null, error: { message: p.error ? `parts: ${p.error.message}` : `fasteners: ${f.error.message}` } };
+          parts = p.data; fasts = f.data;
+        }
+      }
+
+      const { data: stepLinks, error: le } = await db.from(T.slink).select('*').eq('assembly_id', assy.id);
+      if (le) return { data: null, error: { ...le, message: `step links: ${le.message}` } };
+      return { data: { assy, groups: groups || [], steps, parts, fasts, stepLinks: stepLinks || [] }, error: null };
+    },
+
+    // Looked up by P/N rather than one select of the whole table, which
+    // PostgREST would silently cut off at its max-rows limit
+    lookupMaster(pns) { return select(T.master, { pn: pns }, { columns: 'pn,name,location' }); },
+
+    // PostgREST filter syntax: commas, parens and wildcards in the query would break the or()
+    searchMaster(query, limit) {
+      const q = query.replace(/[,()*%\\]/g, '');
+      return db.from(T.master).select('pn,name,location').or(`pn.ilike.${q}*,name.ilike.*${q}*`).order('pn').limit(limit);
+    },
+
+    async countMaster() {
+      const { count, error } = await db.from(T.master).select('pn', { count: 'exact', head: true });
+      return { data: count ?? null, error };
+    },
+
+    select,
+    insert(table, rows) { return db.from(table).insert(rows).select(); },
+    update(table, match, patch) { return inChunks(match, m => applyMatch(db.from(table).update(patch), m).select()); },
+    remove(table, match) { return inChunks(match, m => applyMatch(db.from(table).delete(), m)); },
+
+    // One RPC call so the whole renumber commits or fails together. Until the function
+    // is installed, fall back to one upsert of (id, sort_order) rows — a single statement too.
+    async renumber(table, ids) {
+      const res = await db.rpc(RENUMBER_RPC, { p_table: table, p_ids: ids });
+      if (!res.error || !/PGRST202|Could not find the function/i.test(`${res.error.code} ${res.error.message}`)) return res;
+
+      console.warn(`⚠️ ${RENUMBER_RPC} missing — see migration 9 on the schema check screen`);
+      const { error } = await db.from(table).upsert(ids.map((id, i) => ({ id, sort_order: i + 1 })), { onConflict: 'id' });
+      return { data: null, error };
+    },
+
+    createLinks(links) { return db.from(T.slink).insert(links); },
+
+    probeColumn(table, columns) { return db.from(table).select(columns).limit(1); },
+    probeRpc(name, args) { return db.rpc(name, args); },
+
+    // Realtime postgres_changes; migration 14 puts the tables in the supabase_realtime
+    // publication with replica identity full, so DELETE payloads carry the whole row.
+    subscribe(tables, onChange) {
+      const channel = db.channel(LIVE_CHANNEL);
+      tables.forEach(table => channel.on('postgres_changes', { event: '*', schema: 'public', table }, p => {
+        const row = p.new && Object.keys(p.new).length ? p.new : null;
+        onChange({ table, type: p.eventType, row, old: p.old || null, by: row?.updated_by || null });
+      }));
+      channel.subscribe((status, err) => {
+        if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') console.warn(`live sync ${status}:`, err?.message || '');
+      });
+      // A table left out of the publication subscribes fine and then stays silent
+      db.rpc(LIVE_TABLES_RPC).then(({ data, error }) => {
+        const silent = error ? [] : tables.filter(t => !data.includes(t));
+        if (silent.length) console.warn(`⚠️ live sync: no realtime feed for ${silent.join(', ')} — see migration 14 on the schema check screen`);
+      });
+      return () => db.removeChannel(channel);
+    }
+  };
+}
+
+// ============================================================
+// LOCAL (seeded JSON, persisted to IndexedDB)
+// ============================================================
+
+function createLocalStore(seedUrl = LOCAL_SEED_URL) {
+  let tables = null;
+  const subscribers = [];
+  const bus = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(LIVE_CHANNEL);
+
+  // Every write is announced to other tabs, which fold it into their copy
+  // (otherwise their next persist would overwrite it) and pass it on to subscribers
+  function publish(table, type, list, old = null) {
+    if (!bus) return;
+    const by = actorName();
+    list.forEach((row, i) => bus.postMessage({ table, type, row: type === 'DELETE' ? null : row, old: type === 'DELETE' ? row : (old && old[i]), by }));
+  }
+  if (bus) bus.onmessage = e => {
+    const c = e.data;
+    if (tables) {
+      const list = rows(c.table);
+      const at = list.findIndex(r => r.id === (c.row || c.old).id);
+      if (c.type === 'DELETE') { if (at >= 0) list.splice(at, 1); }
+      else if (at >= 0) list[at] = c.row;
+      else list.push(c.row);
+    }
+    subscribers.forEach(fn => fn(c));
+  };
+
+  async function ready() {
+    if (tables) return tables;
+    tables = await idbGet(LOCAL_KEY).catch(() => null);
+    if (!tables) {
+      const res = await fetch(seedUrl);
+      if (!res.ok) throw new Error(`Seed ${seedUrl}: ${res.status}`);
+      tables = await res.json();
+      await persist();
+    }
+    return tables;
+  }
+
+  function persist() { return idbSet(LOCAL_KEY, tables).catch(e => console.warn('local persist:', e.message)); }
+  function rows(table) { return (tables[table] = tables[table] || []); }
+  function matches(row, match) {
+    return Object.entries(match || {}).every(([col, val]) => Array.isArray(val) ? val.includes(row[col]) : val === null ? row[col] == null : row[col] === val);
+  }
+  function pick(row, columns) {
+    if (!columns || columns === '*') return structuredClone(row);
+    const out = {};
+    columns.split(',').forEach(c => { c = c.trim(); out[c] = row[c] ?? null; });
+    return out;
+  }
+  function nextId(table) { return rows(table).reduce((mx, r) => Math.max(mx, r.id || 0), 0) + 1; }
+
+  // Wrap a body so callers always get { data, error } and the store is loaded first
+  function op(fn) {
+    return async (...args) => {
+      try { await ready(); return { data: await fn(...args), error: null }; }
+      catch (e) { return { data: null, error: { message: e.message } }; }
+    };
+  }
+
+  return {
+    kind: 'local',
+
+    listAssemblies: op(() => rows(T.assy).slice().sort((a, b) => a.id - b.id).map(a => pick(a, 'id,tag,version'))),
+
+    loadAssembly: op(tag => {
+      const assy = rows(T.assy).find(a => a.tag === tag);
+      if (!assy) throw new Error(`Assembly ${tag} not found`);
+      const groups = rows(T.grp).filter(g => g.assembly_id === assy.id).sort(bySort);
+      const gids = groups.map(g => g.id);
+      const steps = rows(T.step).filter(s => gids.includes(s.group_id)).sort(bySort);
+      const sids = steps.map(s => s.id);
+      const parts = rows(T.part).filter(p => sids.includes(p.step_id)).sort(bySort);
+      const fasts = rows(T.fast).filter(f => sids.includes(f.step_id)).sort(bySort);
+      const stepLinks = rows(T.slink).filter(l => l.assembly_id === assy.id);
+      return structuredClone({ assy, groups, steps, parts, fasts, stepLinks });
+    }),
+
+    lookupMaster: op(pns => rows(T.master).filter(p => pns.includes(p.pn)).map(p => pick(p, 'pn,name,location'))),
+    countMaster: op(() => rows(T.master).length),
+    searchMaster: op((query, limit) => {
+      const q = query.toLowerCase();
+      return rows(T.master)
+        .filter(p => p.pn.toLowerCase().startsWith(q) || (p.name || '').toLowerCase().includes(q))
+        .sort((a, b) => a.pn < b.pn ? -1 : 1).slice(0, limit).map(p => pick(p, 'pn,name,location'));
+    }),
+
+    select: op((table, match, opts = {}) => {
+      const out = rows(table).filter(r => matches(r, match));
+      const k = opts.order;
+      if (k) out.sort((a, b) => ((a[k] ?? 0) > (b[k] ?? 0) ? 1 : (a[k] ?? 0) < (b[k] ?? 0) ? -1 : 0) * (opts.desc ? -1 : 1));
+      return (opts.limit ? out.slice(0, opts.limit) : out).map(r => pick(r, opts.columns));
+    }),
+
+    insert: op(async (table, list) => {
+      const now = new Date().toISOString();
+      const created = (Array.isArray(list) ? list : [list]).map(r => {
+        const row = { id: nextId(table), created_at: now, ...structuredClone(r) };
+        rows(table).push(row);
+        return structuredClone(row);
+      });
+      await persist();
+      publish(table, 'INSERT', created);
+      return created;
+    }),
+
+    update: op(async (table, match, patch) => {
+      const hit = rows(table).filter(r => matches(r, match));
+      const old = hit.map(r => structuredClone(r));
+      hit.forEach(r => Object.assign(r, structuredClone(patch)));
+      await persist();
+      const out = hit.map(r => structuredClone(r));
+      publish(table, 'UPDATE', out, old);
+      return out;
+    }),
+
+    remove: op(async (table, match) => {
+      const gone = rows(table).filter(r => matches(r, match));
+      tables[table] = rows(table).filter(r => !matches(r, match));
+      await persist();
+      publish(table, 'DELETE', gone);
+      return null;
+    }),
+
+    renumber: op(async (table, ids) => {
+      const byId = new Map(rows(table).map(r => [r.id, r]));
+      const moved = [];
+      ids.forEach((id, i) => { const r = byId.get(id); if (r && r.sort_order !== i + 1) { r.sort_order = i + 1; moved.push(structuredClone(r)); } });
+      await persist();
+      publish(table, 'UPDATE', moved);
+      return null;
+    }),
+
+    createLinks: op(async links => {
+      const created = links.map(l => { const row = { id: nextId(T.slink), ...structuredClone(l) }; rows(T.slink).push(row); return structuredClone(row); });
+      await persist();
+      publish(T.slink, 'INSERT', created);
+      return null;
+    }),
+
+    probeColumn: op(() => null),
+    probeRpc: op(() => null),
+
+    subscribe(tableList, onChange) {
+      const fn = c => { if (tableList.includes(c.table)) onChange(c); };
+      subscribers.push(fn);
+      return () => { const i = subscribers.indexOf(fn); if (i >= 0) subscribers.splice(i, 1); };
+    }
+  };
+}
+
+// Throw away local edits and re-seed on next load
+export async function resetLocalStore() { await idbDelete(LOCAL_KEY); }
+
+// ============================================================
+// SELECTION — ?store=local / ?store=supabase (sticky per browser)
+// ============================================================
+
+export function resolveStoreKind() {
+  const q = new URLSearchParams(window.location.search).get('store');
+  if (q === 'local' || q === 'supabase') localStorage.setItem('eagleEyeStore', q);
+  return localStorage.getItem('eagleEyeStore') === 'local' ? 'local' : 'supabase';
+}
+
+export const store = resolveStoreKind() === 'local' ? createLocalStore() : createSupabaseStore();
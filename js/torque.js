@@ -0,0 +1,81 @@
+// ============================================================
+// Eagle Eye Tree - Torque Units (v3.30)
+// Torques are free text in the fastener rows ('25Nm', '25 N·m',
+// '250kgf·cm', '2.5'). On save they're normalized to '<value>
+// <unit>' in the unit that was typed; everything that shows a
+// torque converts it to the user's unit system (N·m, kgf·cm or
+// in-lb), kept in localStorage so both apps follow the same choice.
+// No imports — index.html loads this module with import() at boot.
+// ============================================================
+
+const UNIT_KEY = 'eagleEyeTorqueUnit';
+
+// N·m per unit. The first three are the display systems; the rest are only parsed.
+export const TORQUE_UNITS = { 'N·m': 1, 'kgf·cm': 0.0980665, 'in-lb': 0.112985, 'cN·m': 0.01, 'kgf·m': 9.80665, 'ft-lb': 1.355818 };
+export const DISPLAY_UNITS = ['N·m', 'kgf·cm', 'in-lb'];
+
+// Spellings seen in the data → unit (separators ·.*-/space and a trailing 'f' on lb are optional)
+const ALIASES = [
+  [/^c\s*n[\s·.*-]?m$/i, 'cN·m'],
+  [/^(n[\s·.*-]?m|newton[\s-]?met(?:er|re)s?)$/i, 'N·m'],
+  [/^kg(?:f)?[\s·.*-]?cm$/i, 'kgf·cm'],
+  [/^kg(?:f)?[\s·.*-]?m$/i, 'kgf·m'],
+  [/^(in[\s·.*-]?lbs?f?|lbs?f?[\s·.*-]?in)$/i, 'in-lb'],
+  [/^(ft[\s·.*-]?lbs?f?|lbs?f?[\s·.*-]?ft)$/i, 'ft-lb']
+];
+const VALUE = /^(\d+(?:[.,]\d+)?|\.\d+)\s*(.*)$/;
+
+// Also what the reports (lint.js, kitting.js) count as a missing torque or loctite
+export const blank = t => t === null || t === undefined || String(t).trim() === '' || String(t).trim() === '---';
+
+// null for a blank / '---' torque, { value, unit, nm } when it parses, { error } when it doesn't.
+// A bare number is in `defaultUnit` — N·m for stored rows, the display unit for new input.
+export function parseTorque(text, defaultUnit = 'N·m') {
+  if (blank(text)) return null;
+  const m = String(text).trim().match(VALUE);
+  if (!m) return { error: `"${String(text).trim()}" isn't a torque — use a number and a unit, e.g. 25 N·m` };
+  const value = parseFloat(m[1].replace(',', '.'));
+  const unitText = m[2].trim();
+  const unit = unitText ? ALIASES.find(([re]) => re.test(unitText))?.[1] : defaultUnit;
+  if (!unit) return { error: `Unknown torque unit "${unitText}" — use N·m, kgf·cm or in-lb` };
+  if (!(value > 0)) return { error: 'Torque must be more than 0' };
+  return { value, unit, nm: value * TORQUE_UNITS[unit] };
+}
+
+// The stored form: { torque: '250 kgf·cm' | null } or { error }
+export function normalizeTorque(text, defaultUnit = displayUnit()) {
+  const t = parseTorque(text, defaultUnit);
+  if (!t) return { torque: null };
+  if (t.error) return { error: t.error };
+  return { torque: `${t.value} ${t.unit}` };
+}
+
+// N·m for a stored torque, null when blank or unreadable
+export function torqueNm(text) {
+  const t = parseTorque(text);
+  return t && !t.error ? t.nm : null;
+}
+
+// Two decimals under 10, one under 100, none above; trailing zeros dropped
+function round(v) {
+  const digits = v >= 100 ? 0 : v >= 10 ? 1 : 2;
+  return Number(v.toFixed(digits));
+}
+
+export const fromNm = (nm, unit = displayUnit()) => `${round(nm / TORQUE_UNITS[unit])} ${unit}`;
+
+// A stored torque in the display unit; unreadable text comes back as entered
+export function formatTorque(text, unit = displayUnit()) {
+  if (blank(text)) return '';
+  const t = parseTorque(text);
+  return t.error ? String(text).trim() : fromNm(t.nm, unit);
+}
+
+export function displayUnit() {
+  const u = typeof localStorage === 'undefined' ? null : localStorage.getItem(UNIT_KEY);
+  return DISPLAY_UNITS.includes(u) ? u : 'N·m';
+}
+
+export function setDisplayUnit(unit) {
+  if (DISPLAY_UNITS.includes(unit)) localStorage.setItem(UNIT_KEY, unit);
+}
@@ -1,5 +1,5 @@
 // ============================================================
-// Eagle Eye Tree - UI Utilities (v3.2)
+// Eagle Eye Tree - UI Utilities (v3.28)
 // ============================================================
 
 export function showToast(msg, type = 'success') {
@@ -10,3 +10,85 @@ export function showToast(msg, type = 'success') {
   document.body.appendChild(el);
   setTimeout(() => el.remove(), 2500);
 }
+
+// Add a one-shot animation class, restarting it if it's still running, and drop it after `ms`
+export function flashClass(el, cls, ms) {
+  el.classList.remove(cls);
+  void el.getBoundingClientRect();   // restart the animation
+  el.classList.add(cls);
+  setTimeout(() => el.classList.remove(cls), ms);
+}
+
+// Text from the database or the user, made safe for innerHTML and attribute values
+export const esc = v => String(v ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+const cell = v => v === null || v === undefined || v === '' ? '<span class="merge-empty">(empty)</span>' : esc(v);
+
+// Stale-write prompt: someone saved the row after we read it. `fields` is
+// [{ field, mine, server }]. Resolves 'mine' (overwrite) or 'server' (keep theirs).
+export function showMergePrompt({ entity, by, at, fields }) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = '<div class="modal merge-modal">' +
+      '<div class="merge-title">⚠️ Changed by someone else</div>' +
+      `<div class="merge-sub">This ${entity} was saved${by ? ` by ${esc(by)}` : ''}${at ? ` at ${new Date(at).toLocaleTimeString()}` : ''} after you loaded it. Pick which value to keep.</div>` +
+      '<table class="merge-table"><tr><th>Field</th><th>Yours</th><th>On server</th></tr>' +
+      fields.map(f => `<tr><td>${esc(f.field)}</td><td class="merge-mine">${cell(f.mine)}</td><td class="merge-server">${cell(f.server)}</td></tr>`).join('') +
+      '</table><div class="merge-actions"><button class="history-btn" data-choice="server">Keep server value</button>' +
+      '<button class="history-btn merge-overwrite" data-choice="mine">Overwrite with mine</button></div></div>';
+    overlay.querySelectorAll('[data-choice]').forEach(b => b.addEventListener('click', () => { overlay.remove(); resolve(b.dataset.choice); }));
+    document.body.appendChild(overlay);
+  });
+}
+
+// Create dialog. fields: [{ name, label, value, type: 'text'|'number'|'select',
+// options: [{ value, label }], placeholder, required, suggest: async q → [{ value, label }] }].
+// Resolves { name: value } on submit, or null when cancelled.
+export function showForm({ title, fields, submitLabel = 'Add' }) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `<form class="modal form-modal"><div class="merge-title">${esc(title)}</div>` +
+      fields.map(f => {
+        const input = f.type === 'select'
+          ? `<select class="ef-input" name="${f.name}">` + f.options.map(o => `<option value="${esc(o.value)}"${String(o.value) === String(f.value ?? '') ? ' selected' : ''}>${esc(o.label)}</option>`).join('') + '</select>'
+          : `<input class="ef-input" name="${f.name}" type="${f.type || 'text'}" value="${esc(f.value)}" placeholder="${esc(f.placeholder)}"` +
+            `${f.type === 'number' ? ' min="1"' : ''}${f.suggest ? ` list="form-dl-${f.name}" autocomplete="off"` : ''}>` +
+            (f.suggest ? `<datalist id="form-dl-${f.name}"></datalist>` : '');
+        return `<div class="ef-row"><label>${esc(f.label)}</label>${input}</div>`;
+      }).join('') +
+      `<div class="ef-actions"><button type="button" class="ef-btn ef-cancel">Cancel</button><button type="submit" class="ef-btn ef-save">${submitLabel}</button></div></form>`;
+    const form = overlay.querySelector('form');
+    const close = values => { overlay.remove(); resolve(values); };
+
+    fields.filter(f => f.suggest).forEach(f => {
+      const list = overlay.querySelector(`#form-dl-${f.name}`);
+      let timer = null;
+      form.elements[f.name].addEventListener('input', e => {
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+          const q = e.target.value.trim();
+          const hits = await f.suggest(q);
+          if (q !== e.target.value.trim()) return;   // typed on since
+          list.innerHTML = hits.map(h => `<option value="${esc(h.value)}">${esc(h.label)}</option>`).join('');
+        }, 200);
+      });
+    });
+
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      const values = {};
+      fields.forEach(f => {
+        const v = form.elements[f.name].value.trim();
+        values[f.name] = f.type === 'number' ? (parseInt(v) || 1) : v;
+      });
+      const empty = fields.find(f => f.required && !values[f.name]);
+      if (empty) { showToast(`${empty.label} is required`, 'error'); form.elements[empty.name].focus(); return; }
+      close(values);
+    });
+    form.querySelector('.ef-cancel').addEventListener('click', () => close(null));
+    overlay.addEventListener('keydown', e => { if (e.key === 'Escape') close(null); });
+    document.body.appendChild(overlay);
+    form.querySelector('input, select')?.focus();
+  });
+}
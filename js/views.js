@@ -1,18 +1,78 @@
 // ============================================================
-// Eagle Eye Tree - Views Module (v3.5)
-// ECN persist + cascade ⚠️, Step P/N, inline editing
+// Eagle Eye Tree - Views Module (v3.30)
+// ECN persist + cascade ⚠️, Step P/N, inline editing, drag-and-drop reorder,
+// create/delete of groups, steps, parts and fasteners, step standard times,
+// list filter + reveal for global search (search.js), torque spec pre-fill + check,
+// torques normalized on save and shown in the display unit (torque.js)
 // ============================================================
 
 import * as state from './state.js';
-import { ECN_COLORS, ECN_ICONS } from './config.js';
+import { ECN_COLORS, ECN_ICONS, getLevelColor } from './config.js';
 import {
-  reorderStep, reorderPart, updateSeqTag,
+  reorderStep, reorderPart, moveStep, movePart, updateSeqTag,
   updatePart, updateFastener, deletePart, deleteFastener,
-  updateStepPN, updateStepLabel, updateStepEcnStatus
+  updateStepPN, updateStepLabel, updateStepEcnStatus, updateStepTiming, lookupMasterParts,
+  createGroup, createStep, createPart, createFastener, deleteStep, deleteGroup, searchMasterParts, deleteStepLink
 } from './database.js';
-import { showToast } from './ui.js';
+import { showToast, showForm, esc } from './ui.js';
+import { loadAuditLog } from './audit.js';
+import { stepMatcher } from './search.js';
+import { specTorque, torqueDeviation, deviationText } from './fasteners.js';
+import { formatTorque, normalizeTorque, displayUnit } from './torque.js';
 
 var expandedGroups = new Set();
+var audit = { open: false, scope: 'step', filter: '', rows: [] };   // detail-panel audit section
+
+// ============================================================
+// DRAG-AND-DROP REORDER
+// Rows carry data-<idKey> and data-<scopeKey>; drops only land
+// inside the same scope (steps within a group, parts within a step).
+// onMove(id, scopeId, toIndex) persists and re-renders.
+// ============================================================
+function enableDragReorder(container, rowSelector, idKey, scopeKey, onMove) {
+  var dragEl = null;
+  var rows = Array.from(container.querySelectorAll(rowSelector));
+
+  function clearMarks() { rows.forEach(function(r) { r.classList.remove('drop-before', 'drop-after'); }); }
+  function sameScope(el) { return dragEl && dragEl !== el && dragEl.dataset[scopeKey] === el.dataset[scopeKey]; }
+  function isAfter(el, e) { var rect = el.getBoundingClientRect(); return e.clientY > rect.top + rect.height / 2; }
+
+  rows.forEach(function(el) {
+    el.setAttribute('draggable', 'true');
+    el.addEventListener('dragstart', function(e) {
+      dragEl = el;
+      el.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', el.dataset[idKey]);
+    });
+    el.addEventListener('dragend', function() { el.classList.remove('dragging'); clearMarks(); dragEl = null; });
+    el.addEventListener('dragover', function(e) {
+      if (!sameScope(el)) return;
+      e.preventDefault();
+      clearMarks();
+      el.classList.add(isAfter(el, e) ? 'drop-after' : 'drop-before');
+    });
+    el.addEventListener('drop', function(e) {
+      if (!sameScope(el)) return;
+      e.preventDefault();
+      var ids = rows.filter(function(r) { return r.dataset[scopeKey] === el.dataset[scopeKey]; })
+        .map(function(r) { return parseInt(r.dataset[idKey]); });
+      var id = parseInt(dragEl.dataset[idKey]);
+      ids.splice(ids.indexOf(id), 1);
+      var toIndex = ids.indexOf(parseInt(el.dataset[idKey])) + (isAfter(el, e) ? 1 : 0);
+      clearMarks();
+      onMove(id, parseInt(el.dataset[scopeKey]), toIndex);
+    });
+  });
+}
+
+// Mirror a saved move in memory so the view re-renders without a reload
+function applyMove(rows, id, toIndex) {
+  rows.sort(function(a, b) { return (a.sort_order || 0) - (b.sort_order || 0); });
+  var from = rows.findIndex(function(r) { return r.id === id; });
+  rows.splice(toIndex, 0, rows.splice(from, 1)[0]);
+  rows.forEach(function(r, i) { r.sort_order = i + 1; });
+}
 
 // ============================================================
 // ECN toggle + auto-save helper
@@ -35,7 +95,7 @@ export function renderListView() {
   if (!container) return;
 
   var sortedGroups = state.groups.slice().sort(function(a, b) { return (a.sort_order || 0) - (b.sort_order || 0); });
-  var search = (document.getElementById('searchInput')?.value || '').toLowerCase();
+  var matches = stepMatcher(document.getElementById('searchInput')?.value || '');
   var ecnAffected = state.getEcnAffectedSteps();
 
   if (expandedGroups.size === 0) sortedGroups.forEach(function(g) { expandedGroups.add(g.id); });
@@ -55,6 +115,8 @@ export function renderListView() {
     if (ecnCount > 0) html += '<span class="ecn-cnt">' + ecnCount + '</span>';
     if (affectedCount > 0) html += '<span class="ecn-cnt" style="background:#f9731620;color:#f97316;">⚠️' + affectedCount + '</span>';
     html += '<span class="gcnt">' + gSteps.length + '</span>';
+    html += '<span class="grp-tool" data-add-step="' + g.id + '" title="Add step to this group">➕</span>';
+    html += '<span class="grp-tool" data-del-group="' + g.id + '" title="Delete group">🗑️</span>';
     html += '</div>';
 
     if (open) {
@@ -66,13 +128,7 @@ export function renderListView() {
         var sel = state.selectedStepId === s.id;
         var seqDisplay = s.seq_tag || (si + 1);
 
-        var vis = true;
-        if (search) {
-          vis = s.label.toLowerCase().includes(search) ||
-            (s.pn && s.pn.toLowerCase().includes(search)) ||
-            sp.some(function(p) { return p.pn.toLowerCase().includes(search); }) ||
-            sf.some(function(f) { return f.pn.toLowerCase().includes(search); });
-        }
+        var vis = !matches || matches(s);
 
         var bgStyle = ecn ? 'background:' + ECN_COLORS[ecn] + '08;border-left-color:' + ECN_COLORS[ecn] + ';'
           : isAffected ? 'background:#f9731608;border-left-color:#f97316;' : '';
@@ -98,18 +154,29 @@ export function renderListView() {
     }
     html += '</div>';
   });
+  html += '<div class="add-group-row"><button class="add-btn" id="addGroupBtn">+ Add group</button></div>';
 
   container.innerHTML = html;
 
   // Event: toggle group
   container.querySelectorAll('.group-hdr').forEach(function(el) {
-    el.addEventListener('click', function() {
+    el.addEventListener('click', function(e) {
+      if (e.target.closest('.grp-tool')) return;
       var gid = parseInt(el.dataset.gid);
       expandedGroups.has(gid) ? expandedGroups.delete(gid) : expandedGroups.add(gid);
       renderListView();
     });
   });
 
+  // Event: add step / delete group / add group
+  container.querySelectorAll('[data-add-step]').forEach(function(el) {
+    el.addEventListener('click', function() { promptAddStep(parseInt(el.dataset.addStep)); });
+  });
+  container.querySelectorAll('[data-del-group]').forEach(function(el) {
+    el.addEventListener('click', function() { confirmDeleteGroup(parseInt(el.dataset.delGroup)); });
+  });
+  container.querySelector('#addGroupBtn').addEventListener('click', promptAddGroup);
+
   // Event: click step row
   container.querySelectorAll('.step-row').forEach(function(el) {
     el.addEventListener('click', function(e) {
@@ -140,6 +207,15 @@ export function renderListView() {
     });
   });
 
+  // Event: drag a step within its group
+  enableDragReorder(container, '.step-row', 'sid', 'gid', async function(sid, gid, toIndex) {
+    var ok = await moveStep(sid, gid, toIndex);
+    if (!ok) { showToast('Failed to move step', 'error'); return; }
+    applyMove(state.steps.filter(function(s) { return s.group_id === gid; }), sid, toIndex);
+    renderListView();
+    showToast('Step moved');
+  });
+
   // Event: click seq tag to edit
   container.querySelectorAll('.sid-edit').forEach(function(el) {
     el.addEventListener('click', async function(e) {
@@ -159,6 +235,16 @@ export function renderListView() {
   });
 }
 
+// Global search: open the step's group and scroll its row / card into view
+export function revealStep(stepId) {
+  var step = state.steps.find(function(s) { return s.id === stepId; });
+  if (!step) return;
+  if (!expandedGroups.has(step.group_id)) { expandedGroups.add(step.group_id); renderListView(); }
+  var el = Array.from(document.querySelectorAll('.step-row[data-sid="' + stepId + '"], .kan-card[data-sid="' + stepId + '"]'))
+    .find(function(x) { return x.offsetParent !== null; });
+  if (el) el.scrollIntoView({ block: 'center', behavior: 'smooth' });
+}
+
 // ============================================================
 // KANBAN VIEW
 // ============================================================
@@ -287,6 +373,7 @@ export function renderDetail(containerId) {
   html += '<div style="display:flex;align-items:center;gap:6px;">';
   html += '<span style="font-size:15px;font-weight:700;color:' + (step.type === 'kanryo' ? '#f59e0b' : '#e2e8f0') + '">' + step.label + '</span>';
   html += '<span class="edit-btn" id="editStepLabel" title="Edit step name" style="font-size:10px;">✏️</span>';
+  html += '<span class="edit-btn" id="deleteStepBtn" title="Delete step" style="font-size:10px;color:#ef4444;">🗑️</span>';
   html += '</div>';
   // Step P/N (editable)
   html += '<div style="display:flex;align-items:center;gap:6px;margin-top:3px;">';
@@ -309,14 +396,45 @@ export function renderDetail(containerId) {
   if (isAffected && !ecn) html += '<span class="ecn-badge" style="background:#f9731618;border:1px solid #f97316;color:#f97316;">⚠️ affected</span>';
   html += '</div>';
 
+  // ══════════════════════════════════════════
+  // TIME — standard time, headcount, schedule from the critical path
+  // ══════════════════════════════════════════
+  var tm = state.getTiming();
+  var slot = tm.timing.get(step.id);
+  html += '<div class="section-title" style="color:#e11d48;display:flex;align-items:center;">TIME<span style="flex:1;"></span>';
+  html += '<span class="edit-btn" data-edit="time" data-id="' + step.id + '" title="Edit standard time">✏️</span></div>';
+  html += '<div class="item-row" style="flex-wrap:wrap;gap:8px;font-size:10px;color:#94a3b8;">';
+  if (step.std_time) {
+    html += '<span>⏱ <b style="color:#e2e8f0;">' + fmtMin(step.std_time) + '</b></span>';
+    html += '<span>👷 ' + (step.headcount || 1) + '</span>';
+  } else {
+    html += '<span style="font-style:italic;color:#475569;">no standard time</span>';
+  }
+  if (slot && tm.timed) {
+    html += '<span title="Earliest start / latest start, minutes from build start">ES ' + fmtMin(slot.es) + ' · LS ' + fmtMin(slot.ls) + '</span>';
+    html += slot.slack < 1e-6
+      ? '<span style="color:#e11d48;font-weight:700;">critical path</span>'
+      : '<span>slack ' + fmtMin(slot.slack) + '</span>';
+  } else if (!slot) {
+    html += '<span style="color:#f97316;" title="Part of a link cycle — fix it in 🩺 Links">not scheduled (cycle)</span>';
+  }
+  html += '</div>';
+  html += '<div class="edit-form" id="edit-time-' + step.id + '" style="display:none;">';
+  html += '<div class="ef-row"><label>Minutes</label><input type="number" class="ef-input ef-sm" id="et-time-' + step.id + '" value="' + (step.std_time ?? '') + '" min="0" step="0.1" placeholder="—"></div>';
+  html += '<div class="ef-row"><label>Headcount</label><input type="number" class="ef-input ef-sm" id="et-head-' + step.id + '" value="' + (step.headcount ?? '') + '" min="1" step="1" placeholder="1"></div>';
+  html += '<div class="ef-actions">';
+  html += '<button class="ef-btn ef-cancel" data-close="time-' + step.id + '">Cancel</button>';
+  html += '<button class="ef-btn ef-save" data-save="time" data-id="' + step.id + '">Save</button>';
+  html += '</div></div>';
+
   // ══════════════════════════════════════════
   // PARTS
   // ══════════════════════════════════════════
-  html += '<div class="section-title" style="color:#10b981;">PARTS (' + sp.length + ')</div>';
+  html += '<div class="section-title" style="color:#10b981;display:flex;align-items:center;">PARTS (' + sp.length + ')<span style="flex:1;"></span><button class="add-btn" id="addPartBtn">+ Part</button></div>';
   sp.forEach(function(p, i) {
     var m = state.lookup(p.pn);
     var displayName = m.name || p.pn;
-    html += '<div class="item-row" style="background:' + (i % 2 ? '#071a12' : 'transparent') + ';">';
+    html += '<div class="item-row part-row" data-pid="' + p.id + '" data-sid="' + step.id + '" style="background:' + (i % 2 ? '#071a12' : 'transparent') + ';">';
     html += '<div class="part-reorder">';
     html += '<span class="arr-sm ' + (i === 0 ? 'dim' : '') + '" data-dir="up" data-pid="' + p.id + '" data-sid="' + step.id + '">▲</span>';
     html += '<span class="arr-sm ' + (i === sp.length - 1 ? 'dim' : '') + '" data-dir="down" data-pid="' + p.id + '" data-sid="' + step.id + '">▼</span>';
@@ -345,10 +463,10 @@ export function renderDetail(containerId) {
   // ══════════════════════════════════════════
   // FASTENERS
   // ══════════════════════════════════════════
-  html += '<div class="section-title" style="color:#ef4444;margin-top:16px;">FASTENERS (' + sf.length + ')</div>';
+  html += '<div class="section-title" style="color:#ef4444;margin-top:16px;display:flex;align-items:center;">FASTENERS (' + sf.length + ')<span style="flex:1;"></span><button class="add-btn" id="addFastBtn">+ Fastener</button></div>';
   sf.forEach(function(f, i) {
     var m = state.lookup(f.pn);
-    html += '<div class="item-row" style="background:' + (i % 2 ? '#1a0505' : 'transparent') + ';">';
+    html += '<div class="item-row" data-fid="' + f.id + '" style="background:' + (i % 2 ? '#1a0505' : 'transparent') + ';">';
     html += '<span class="dot" style="background:#ef4444;"></span>';
     html += '<div style="flex:1;min-width:0;">';
     html += '<div style="font-size:11px;font-weight:600;color:#fca5a5;">' + (m.name || f.pn) + '</div>';
@@ -361,14 +479,20 @@ export function renderDetail(containerId) {
     html += '</div>';
     html += '<div style="display:flex;gap:14px;padding-left:11px;font-size:10px;margin-top:1px;margin-bottom:4px;">';
     html += '<span><span style="color:#475569;">LT </span><span style="color:' + (f.loctite === '---' || !f.loctite ? '#475569' : '#f59e0b') + ';font-weight:700;">' + (f.loctite || '—') + '</span></span>';
-    html += '<span><span style="color:#475569;">TQ </span><span style="color:' + (!f.torque || f.torque === '---' ? '#475569' : '#60a5fa') + ';font-weight:700;">' + (f.torque || '—') + '</span></span>';
+    html += '<span><span style="color:#475569;">TQ </span><span style="color:' + (!f.torque || f.torque === '---' ? '#475569' : '#60a5fa') + ';font-weight:700;">' + (formatTorque(f.torque) || '—') + '</span></span>';
+    var off = torqueDeviation(f);
+    if (off) html += '<span class="tq-off" title="Entered torque is outside the spec tolerance">⚠️ ' + deviationText(off) + '</span>';
     html += '</div>';
     // Edit form
     html += '<div class="edit-form" id="edit-fast-' + f.id + '" style="display:none;">';
     html += '<div class="ef-row"><label>P/N</label><input type="text" class="ef-input" id="ef-pn-' + f.id + '" value="' + f.pn + '" placeholder="e.g. CBE6-30"></div>';
     html += '<div class="ef-row"><label>Qty</label><input type="number" class="ef-input ef-sm" id="ef-qty-' + f.id + '" value="' + f.qty + '" min="1"></div>';
     html += '<div class="ef-row"><label>Loctite</label>' + loctiteSelect('ef-lt-' + f.id, f.loctite) + '</div>';
-    html += '<div class="ef-row"><label>Torque</label><input type="text" class="ef-input" id="ef-tq-' + f.id + '" value="' + (f.torque && f.torque !== '---' ? f.torque : '') + '" placeholder="e.g. 25Nm"></div>';
+    // Blank torque pre-fills from the spec table; data-spec tracks the fill so a P/N change can replace it
+    var spec = specTorque(f.pn);
+    var shown = formatTorque(f.torque);
+    // data-shown is the stored torque as displayed; saving it unchanged leaves the stored value alone
+    html += '<div class="ef-row"><label>Torque</label><input type="text" class="ef-input" id="ef-tq-' + f.id + '" value="' + esc(shown || spec) + '" data-shown="' + esc(shown) + '" data-spec="' + esc(spec) + '" placeholder="' + (spec ? 'spec ' + spec : 'e.g. 25 ' + displayUnit()) + '"></div>';
     html += '<div class="ef-actions">';
     html += '<button class="ef-btn ef-cancel" data-close="fast-' + f.id + '">Cancel</button>';
     html += '<button class="ef-btn ef-save" data-save="fast" data-id="' + f.id + '">Save</button>';
@@ -382,14 +506,27 @@ export function renderDetail(containerId) {
     html += '<div class="section-title" style="color:#60a5fa;margin-top:16px;">LINKS (' + inLinks.length + ' in · ' + outLinks.length + ' out)</div>';
     inLinks.forEach(function(l) {
       var parent = state.steps.find(function(s) { return s.id === l.parent_step_id; });
-      html += '<div class="item-row"><span class="dot" style="background:#60a5fa;"></span><span style="font-size:10px;color:#93c5fd;">← ' + (parent?.label || l.parent_step_id) + '</span></div>';
+      html += '<div class="item-row"><span class="dot" style="background:#60a5fa;"></span><span style="font-size:10px;color:#93c5fd;flex:1;">← ' + (parent?.label || l.parent_step_id) + '</span>' +
+        '<span class="edit-btn" data-del-link="' + l.id + '" title="Delete link" style="color:#ef4444;">✕</span></div>';
     });
     outLinks.forEach(function(l) {
       var child = state.steps.find(function(s) { return s.id === l.child_step_id; });
-      html += '<div class="item-row"><span class="dot" style="background:#a78bfa;"></span><span style="font-size:10px;color:#c4b5fd;">→ ' + (child?.label || l.child_step_id) + '</span></div>';
+      html += '<div class="item-row"><span class="dot" style="background:#a78bfa;"></span><span style="font-size:10px;color:#c4b5fd;flex:1;">→ ' + (child?.label || l.child_step_id) + '</span>' +
+        '<span class="edit-btn" data-del-link="' + l.id + '" title="Delete link" style="color:#ef4444;">✕</span></div>';
     });
   }
 
+  // ── AUDIT ──
+  html += '<div class="section-title audit-toggle" style="color:#94a3b8;margin-top:16px;cursor:pointer;">' + (audit.open ? '▼' : '▶') + ' AUDIT TRAIL</div>';
+  if (audit.open) {
+    html += '<div class="audit-controls">';
+    html += '<select class="ef-input audit-scope"><option value="step"' + (audit.scope === 'step' ? ' selected' : '') + '>This step</option>' +
+      '<option value="assy"' + (audit.scope === 'assy' ? ' selected' : '') + '>Whole assembly</option></select>';
+    html += '<input type="text" class="ef-input audit-filter" placeholder="Filter field, actor, value…" value="' + audit.filter.replace(/"/g, '&quot;') + '">';
+    html += '</div>';
+    html += '<div class="audit-list"><div class="audit-empty">Loading…</div></div>';
+  }
+
   contentEl.innerHTML = html;
 
   // ══════════════════════════════════════════
@@ -434,6 +571,21 @@ export function renderDetail(containerId) {
     });
   }
 
+  // Delete step, add part / fastener
+  contentEl.querySelector('#deleteStepBtn').addEventListener('click', function() { confirmDeleteStep(step.id); });
+  contentEl.querySelector('#addPartBtn').addEventListener('click', function() { promptAddPart(step.id); });
+  contentEl.querySelector('#addFastBtn').addEventListener('click', function() { promptAddFastener(step.id); });
+
+  // Delete a link
+  contentEl.querySelectorAll('[data-del-link]').forEach(function(el) {
+    el.addEventListener('click', async function(e) {
+      e.stopPropagation();
+      if (!(await deleteStepLink(parseInt(el.dataset.delLink)))) return;
+      await window._eagleEyeReload?.();
+      showToast('Link deleted — Ctrl+Z to undo');
+    });
+  });
+
   // Part reorder arrows
   contentEl.querySelectorAll('.arr-sm').forEach(function(el) {
     el.addEventListener('click', async function(e) {
@@ -447,6 +599,15 @@ export function renderDetail(containerId) {
     });
   });
 
+  // Drag a part within this step
+  enableDragReorder(contentEl, '.part-row', 'pid', 'sid', async function(pid, sid, toIndex) {
+    var ok = await movePart(pid, sid, toIndex);
+    if (!ok) { showToast('Failed to move part', 'error'); return; }
+    applyMove(state.parts.filter(function(p) { return p.step_id === sid; }), pid, toIndex);
+    renderDetail(containerId);
+    showToast('Part moved');
+  });
+
   // ✏️ Edit toggle buttons
   contentEl.querySelectorAll('.edit-btn[data-edit]').forEach(function(el) {
     el.addEventListener('click', function(e) {
@@ -457,7 +618,7 @@ export function renderDetail(containerId) {
       if (form) {
         contentEl.querySelectorAll('.edit-form').forEach(function(f) { f.style.display = 'none'; });
         form.style.display = '';
-        var firstInput = form.querySelector('input[type="text"]');
+        var firstInput = form.querySelector('input');
         if (firstInput) firstInput.focus();
       }
     });
@@ -474,16 +635,16 @@ export function renderDetail(containerId) {
       if (type === 'part') {
         var ok = await deletePart(id);
         if (ok) {
-          state.parts = state.parts.filter(function(p) { return p.id !== id; });
-          showToast('Part deleted');
+          state.setParts(state.parts.filter(function(p) { return p.id !== id; }));
+          showToast('Part deleted — Ctrl+Z to undo');
           renderDetail(containerId);
           if (typeof window._eagleEyeRefreshView === 'function') window._eagleEyeRefreshView();
         }
       } else if (type === 'fast') {
         var ok2 = await deleteFastener(id);
         if (ok2) {
-          state.fasts = state.fasts.filter(function(f) { return f.id !== id; });
-          showToast('Fastener deleted');
+          state.setFasts(state.fasts.filter(function(f) { return f.id !== id; }));
+          showToast('Fastener deleted — Ctrl+Z to undo');
           renderDetail(containerId);
           if (typeof window._eagleEyeRefreshView === 'function') window._eagleEyeRefreshView();
         }
@@ -501,6 +662,18 @@ export function renderDetail(containerId) {
     });
   });
 
+  // Fastener P/N typed → torque follows the spec unless it was entered by hand
+  contentEl.querySelectorAll('input[id^="ef-pn-"]').forEach(function(el) {
+    el.addEventListener('input', function() {
+      var tq = document.getElementById('ef-tq-' + el.id.slice(6));
+      if (!tq) return;
+      var spec = specTorque(el.value);
+      if (tq.value.trim() === '' || tq.value === tq.dataset.spec) tq.value = spec;
+      tq.dataset.spec = spec;
+      tq.placeholder = spec ? 'spec ' + spec : 'e.g. 25 ' + displayUnit();
+    });
+  });
+
   // Save buttons
   contentEl.querySelectorAll('.ef-save').forEach(function(el) {
     el.addEventListener('click', async function(e) {
@@ -509,8 +682,65 @@ export function renderDetail(containerId) {
       var id = parseInt(el.dataset.id);
       if (type === 'part') await savePartEdit(id, containerId);
       else if (type === 'fast') await saveFastenerEdit(id, containerId);
+      else if (type === 'time') await saveTimeEdit(id, containerId);
     });
   });
+
+  // Audit trail
+  contentEl.querySelector('.audit-toggle')?.addEventListener('click', function() {
+    audit.open = !audit.open;
+    renderDetail(containerId);
+  });
+  if (audit.open) {
+    var listEl = contentEl.querySelector('.audit-list');
+    contentEl.querySelector('.audit-scope').addEventListener('change', function(e) {
+      audit.scope = e.target.value;
+      renderDetail(containerId);
+    });
+    contentEl.querySelector('.audit-filter').addEventListener('input', function(e) {
+      audit.filter = e.target.value;
+      renderAuditRows(listEl);
+    });
+    loadAuditLog(audit.scope === 'step' ? { stepId: step.id } : { assemblyId: state.assy?.id }).then(function(res) {
+      if (res.error) { listEl.innerHTML = '<div class="audit-empty">Audit log unavailable: ' + esc(res.error.message) + '</div>'; return; }
+      audit.rows = res.data;
+      renderAuditRows(listEl);
+    });
+  }
+}
+
+// ============================================================
+// AUDIT TRAIL (detail panel)
+// ============================================================
+
+function stepName(id) {
+  var s = state.steps.find(function(st) { return st.id === id; });
+  return s ? s.label : '#' + id;
+}
+
+function auditSummary(r) {
+  if (r.action === 'delete' || r.action === 'insert') {
+    var row = {};
+    try { row = JSON.parse(r.action === 'delete' ? r.old_value : r.new_value) || {}; } catch (e) { /* plain text */ }
+    return (r.action === 'delete' ? 'deleted ' : 'added ') + esc(row.pn || row.label || (row.parent_step_id ? stepName(row.parent_step_id) + ' → ' + stepName(row.child_step_id) : '#' + r.entity_id));
+  }
+  return '<b>' + esc(r.field) + '</b> ' + esc(r.old_value ?? '—') + ' → ' + esc(r.new_value ?? '—');
+}
+
+function renderAuditRows(listEl) {
+  var q = audit.filter.trim().toLowerCase();
+  var rows = audit.rows.filter(function(r) {
+    if (!q) return true;
+    return [r.actor, r.entity, r.field, r.action, r.old_value, r.new_value].some(function(v) { return v && String(v).toLowerCase().includes(q); });
+  });
+  if (!rows.length) { listEl.innerHTML = '<div class="audit-empty">' + (audit.rows.length ? 'No matching entries' : 'No changes recorded') + '</div>'; return; }
+  listEl.innerHTML = rows.map(function(r) {
+    var step = audit.scope === 'assy' && r.step_id ? state.steps.find(function(s) { return s.id === r.step_id; }) : null;
+    return '<div class="audit-row">' +
+      '<div class="audit-meta"><span>' + new Date(r.created_at).toLocaleString() + '</span><span>' + esc(r.actor || '?') + '</span></div>' +
+      '<div class="audit-change"><span class="audit-entity">' + esc(r.entity) + (step ? ' · ' + esc(step.label) : '') + '</span> ' + auditSummary(r) + '</div>' +
+      '</div>';
+  }).join('');
 }
 
 // ============================================================
@@ -527,6 +757,7 @@ async function savePartEdit(partId, containerId) {
   if (ok) {
     var part = state.parts.find(function(p) { return p.id === partId; });
     if (part) { part.pn = pn; part.qty = qty; }
+    state.mergeMasterMap(await lookupMasterParts([pn]));
     showToast('Part updated');
     renderDetail(containerId);
   } else { showToast('Failed to update part', 'error'); }
@@ -544,17 +775,150 @@ async function saveFastenerEdit(fastId, containerId) {
   var pn = pnEl.value.trim();
   var qty = parseInt(qtyEl.value) || 1;
   var loctite = ltEl ? ltEl.value : null;
-  var torque = tqEl ? tqEl.value.trim() : null;
   if (!pn) { showToast('P/N is required', 'error'); return; }
-  var ok = await updateFastener(fastId, { pn: pn, qty: qty, loctite: loctite || null, torque: torque || null });
+  var patch = { pn: pn, qty: qty, loctite: loctite || null };
+  // Torque is only parsed and saved when edited, so other edits don't re-round it
+  // and a legacy value that doesn't parse ('25-30 Nm') doesn't block them
+  if (tqEl && tqEl.value.trim() !== tqEl.dataset.shown) {
+    var tq = normalizeTorque(tqEl.value);
+    if (tq.error) { showToast(tq.error, 'error'); tqEl.focus(); return; }
+    patch.torque = tq.torque;
+  }
+  var ok = await updateFastener(fastId, patch);
   if (ok) {
     var fast = state.fasts.find(function(f) { return f.id === fastId; });
-    if (fast) { fast.pn = pn; fast.qty = qty; fast.loctite = loctite || null; fast.torque = torque || null; }
+    if (fast) Object.assign(fast, patch);
+    state.mergeMasterMap(await lookupMasterParts([pn]));
     showToast('Fastener updated');
     renderDetail(containerId);
   } else { showToast('Failed to update fastener', 'error'); }
 }
 
+// ============================================================
+// SAVE STEP TIME — blank minutes clears the time
+// ============================================================
+export function fmtMin(m) {
+  return (Math.round(m * 10) / 10) + ' min';
+}
+
+async function saveTimeEdit(stepId, containerId) {
+  var timeEl = document.getElementById('et-time-' + stepId);
+  var headEl = document.getElementById('et-head-' + stepId);
+  if (!timeEl || !headEl) return;
+  var std = timeEl.value.trim() === '' ? null : parseFloat(timeEl.value);
+  var head = headEl.value.trim() === '' ? null : parseInt(headEl.value);
+  if (std !== null && !(std >= 0)) { showToast('Time must be 0 or more minutes', 'error'); return; }
+  if (head !== null && !(head >= 1)) { showToast('Headcount must be at least 1', 'error'); return; }
+  var ok = await updateStepTiming(stepId, { std_time: std, headcount: head });
+  if (ok) {
+    var step = state.steps.find(function(s) { return s.id === stepId; });
+    if (step) { step.std_time = std; step.headcount = head; }
+    showToast(std !== null ? 'Time: ' + fmtMin(std) : 'Time cleared');
+    renderDetail(containerId);
+    if (typeof window._eagleEyeRefreshView === 'function') window._eagleEyeRefreshView();
+  } else { showToast('Failed to update time', 'error'); }
+}
+
+// ============================================================
+// CREATE + DELETE — shared by the list view, detail panel and
+// graph context menu. Writes are role-checked in database.js.
+// ============================================================
+
+var STEP_TYPES = [
+  { value: 'step', label: 'Step' }, { value: 'prep', label: 'Prep' },
+  { value: 'kanryo', label: '完了 (Kanryo)' }, { value: 'note', label: 'Note' }
+];
+
+function pnSuggest(q) {
+  return searchMasterParts(q).then(function(list) {
+    return list.map(function(p) { return { value: p.pn, label: (p.name || '') + (p.location ? ' · ' + p.location : '') }; });
+  });
+}
+
+async function afterCreate(msg, pn) {
+  if (pn) state.mergeMasterMap(await lookupMasterParts([pn]));
+  await window._eagleEyeReload?.();
+  showToast(msg + ' — Ctrl+Z to undo');
+}
+
+export async function promptAddGroup() {
+  if (!state.assy) return;
+  var values = await showForm({ title: '📦 New group', fields: [
+    { name: 'label', label: 'Name', required: true, placeholder: 'e.g. Frame' },
+    { name: 'icon', label: 'Icon', value: '📦' },
+    { name: 'color', label: 'Color', type: 'color', value: getLevelColor(state.groups.length) }
+  ] });
+  if (!values) return;
+  var created = await createGroup(state.assy.id, state.assy.version, values);
+  if (!created) return;
+  expandedGroups.add(created.id);
+  await afterCreate('Group added: ' + values.label);
+}
+
+export async function promptAddStep(groupId) {
+  var grp = state.groups.find(function(g) { return g.id === groupId; });
+  var values = await showForm({ title: '➕ New step in ' + (grp?.label || 'group'), fields: [
+    { name: 'label', label: 'Name', required: true },
+    { name: 'type', label: 'Type', type: 'select', options: STEP_TYPES, value: 'step' },
+    { name: 'seq_tag', label: 'Seq tag', placeholder: 'e.g. 3a' },
+    { name: 'pn', label: 'P/N', placeholder: 'Sub-assembly P/N (optional)', suggest: pnSuggest }
+  ] });
+  if (!values) return;
+  var created = await createStep(groupId, { label: values.label, type: values.type, seq_tag: values.seq_tag || null, pn: values.pn || null });
+  if (!created) return;
+  expandedGroups.add(groupId);
+  state.setSelectedStep(created.id);
+  await afterCreate('Step added: ' + values.label);
+}
+
+export async function promptAddPart(stepId) {
+  var values = await showForm({ title: '🟢 Add part', fields: [
+    { name: 'pn', label: 'P/N', required: true, suggest: pnSuggest },
+    { name: 'qty', label: 'Qty', type: 'number', value: 1 }
+  ] });
+  if (!values) return;
+  if (await createPart(stepId, values)) await afterCreate('Part added: ' + values.pn, values.pn);
+}
+
+export async function promptAddFastener(stepId) {
+  var values = await showForm({ title: '🔴 Add fastener', fields: [
+    { name: 'pn', label: 'P/N', required: true, placeholder: 'e.g. CBE6-30', suggest: pnSuggest },
+    { name: 'qty', label: 'Qty', type: 'number', value: 1 },
+    { name: 'loctite', label: 'Loctite', type: 'select', options: LOCTITE_OPTIONS, value: '' },
+    { name: 'torque', label: 'Torque', placeholder: 'blank = from torque spec' }
+  ] });
+  if (!values) return;
+  var tq = normalizeTorque(values.torque || specTorque(values.pn));
+  if (tq.error) { showToast(tq.error, 'error'); return; }
+  var created = await createFastener(stepId, { pn: values.pn, qty: values.qty, loctite: values.loctite || null, torque: tq.torque });
+  if (created) await afterCreate('Fastener added: ' + values.pn, values.pn);
+}
+
+export async function confirmDeleteStep(stepId) {
+  var step = state.steps.find(function(s) { return s.id === stepId; });
+  if (!step) return;
+  var np = state.parts.filter(function(p) { return p.step_id === stepId; }).length;
+  var nf = state.fasts.filter(function(f) { return f.step_id === stepId; }).length;
+  var nl = state.stepLinks.filter(function(l) { return l.parent_step_id === stepId || l.child_step_id === stepId; }).length;
+  if (!confirm('Delete step "' + step.label + '"?\n\nAlso removes ' + np + ' parts, ' + nf + ' fasteners, ' + nl + ' links and its ECN records.')) return;
+  if (!(await deleteStep(stepId))) { showToast('Failed to delete step', 'error'); return; }
+  if (state.selectedStepId === stepId) state.setSelectedStep(null);
+  await window._eagleEyeReload?.();
+  showToast('Step deleted — Ctrl+Z to undo');
+}
+
+export async function confirmDeleteGroup(groupId) {
+  var grp = state.groups.find(function(g) { return g.id === groupId; });
+  if (!grp) return;
+  var ids = state.steps.filter(function(s) { return s.group_id === groupId; }).map(function(s) { return s.id; });
+  if (!confirm('Delete group "' + grp.label + '"' + (ids.length ? ' and its ' + ids.length + ' steps (with their parts, fasteners, links and ECN records)' : '') + '?')) return;
+  if (!(await deleteGroup(groupId))) { showToast('Failed to delete group', 'error'); return; }
+  if (ids.includes(state.selectedStepId)) state.setSelectedStep(null);
+  expandedGroups.delete(groupId);
+  await window._eagleEyeReload?.();
+  showToast('Group deleted — Ctrl+Z to undo');
+}
+
 // ============================================================
 // ECN SUMMARY
 // ============================================================